@@ -0,0 +1,402 @@
+'use strict';
+
+// the headless authoritative game server, deepstream.js starts it for every
+// room when AUTHORITY is set. it runs the physics of the clients, owns the
+// ball and checks every hit against the paddle positions and the ball it
+// has seen. the clients keep simulating the ball themselves so the game
+// feels the same, they only correct it by the states the server sends, see
+// Scene.onReceivedBallState. the rallies are decided by the rules of the
+// server as well, it sends its score whenever the player that decided a
+// rally counts differently. everything is in the space of the host, the
+// guests at the other end send mirrored positions and scores
+
+require('./headless');
+
+const EventEmitter = require('event-emitter');
+const Physics = require('./src/javascripts/physics').default;
+const Rules = require('./src/javascripts/rules').default;
+const constants = require('./src/javascripts/constants');
+const protocol = require('./src/javascripts/protocol');
+const helpers = require('./src/javascripts/util/helpers');
+
+const ACTION = constants.ACTION;
+const EVENT = constants.EVENT;
+const PLAYER = constants.PLAYER;
+
+// ms between two steps of the simulation
+const STEP_INTERVAL = 1000 / 60;
+// a hit counts if the paddle of the player was at most this many m away from
+// where it says it hit the ball, and our own ball at most this far from it
+// in the last BALL_HISTORY_DURATION ms. the paddle moves are 80ms apart and
+// arrive late, so both are generous
+const PADDLE_REACH = 0.4;
+const BALL_REACH = 0.5;
+const BALL_HISTORY_DURATION = 500;
+// ms our ball gets to decide a rally a player already decided, the hits reach
+// us late. after that the rally ends like a stuck one, see Rules.endRally
+const DECISION_TIMEOUT = 1000;
+
+const vector = v => ({x: v.x, y: v.y, z: v.z});
+// what a room waits for before the next rally: the ball for the first serve
+// of the match, the ball for the first serve of the next game, or everybody
+// asking for another match
+const WAITING = {
+  START: 'START',
+  SERVE: 'SERVE',
+  RESTART: 'RESTART',
+};
+// the odd slots play from the end of the host
+const sideOf = slot => (slot % 2 === 1 ? PLAYER.SELF : PLAYER.OPPONENT);
+
+const createRoom = (provider, id) => {
+  const config = Object.assign({}, constants.INITIAL_CONFIG, {mode: constants.MODE.MULTIPLAYER});
+  const emitter = EventEmitter({});
+  const physics = new Physics(config, emitter);
+  physics.setupWorld();
+  physics.addBall();
+  const ball = physics.ball;
+  const rules = new Rules(config, emitter);
+  // the host and the second guest play together, see Rules.setSlot
+  rules.setSlot(1);
+  const status = provider.record.getRecord(`${id}-status`);
+  // only the server may write this one, see permissions.yml
+  const messages = provider.record.getRecord(`${id}-server`);
+  const players = [1, 2, 3, 4].map(slot => provider.record.getRecord(`${id}-player${slot}`));
+  const paddles = [1, 2, 3, 4].map(slot => provider.record.getRecord(`${id}-paddle${slot}`));
+  const room = {
+    // the latest paddle of every slot, and where our ball was lately
+    paddles: {},
+    history: [],
+    // simulated ms since the ball was hit last, the clients count the same
+    age: 0,
+    // false until the first ball is put in place
+    playing: false,
+    sequence: 0,
+    lastSync: 0,
+    // the score as the host sees it, the host serves first
+    score: {
+      self: 0,
+      opponent: 0,
+      games: {self: 0, opponent: 0},
+      history: [],
+    },
+    firstServer: PLAYER.SELF,
+    // the point our rules gave since the last serve, the rules as they were
+    // while the rally was still going and the miss of the player that
+    // decided the rally while we wait for our own decision
+    point: null,
+    rally: null,
+    miss: null,
+    waiting: WAITING.START,
+    // the slots that asked for another match
+    restarts: [],
+  };
+
+  // the odd slots play from the end of the host, the even ones are mirrored
+  const toHostSpace = (slot, v, isPosition) => {
+    if (slot % 2 === 1) {
+      return v;
+    }
+    return isPosition ? helpers.mirrorPosition(v, config.tablePositionZ) : helpers.mirrorVelocity(v);
+  };
+
+  const send = (action, data) => {
+    room.sequence += 1;
+    messages.set('message', Object.assign({action, s: room.sequence}, data));
+  };
+
+  const sendBall = () => {
+    room.lastSync = Date.now();
+    send(ACTION.BALL, {
+      point: vector(ball.position),
+      velocity: vector(ball.velocity),
+      spin: vector(ball.angularVelocity),
+      age: room.age,
+    });
+  };
+
+  const getPointNumber = () => room.score.history.reduce((sum, game) => (
+    sum + game.self + game.opponent
+  ), room.score.self + room.score.opponent);
+
+  const sendScore = () => {
+    send(ACTION.SCORE, {
+      number: getPointNumber(),
+      self: room.score.self,
+      opponent: room.score.opponent,
+      games: Object.assign({}, room.score.games),
+      history: room.score.history.slice(),
+    });
+  };
+
+  const resetScore = () => {
+    room.score = {
+      self: 0,
+      opponent: 0,
+      games: {self: 0, opponent: 0},
+      history: [],
+    };
+    room.firstServer = PLAYER.SELF;
+  };
+
+  const addPoint = winner => {
+    // true if it decided the game
+    const score = room.score;
+    if (winner === PLAYER.SELF) {
+      score.self += 1;
+    } else {
+      score.opponent += 1;
+    }
+    if (!rules.isGameOver(score)) {
+      return false;
+    }
+    // change ends, the one who received first serves first in the next game
+    score.history.push({self: score.self, opponent: score.opponent});
+    if (score.self > score.opponent) {
+      score.games.self += 1;
+    } else {
+      score.games.opponent += 1;
+    }
+    if (rules.isMatchOver(score.games)) {
+      return true;
+    }
+    score.self = 0;
+    score.opponent = 0;
+    room.firstServer = room.firstServer === PLAYER.SELF ? PLAYER.OPPONENT : PLAYER.SELF;
+    return true;
+  };
+
+  const getPlayerCount = () => {
+    const settings = status.get('settings');
+    return settings && settings.doubles ? 4 : 2;
+  };
+
+  const countsLikeUs = (slot, score) => {
+    // the score of a miss is from the point of view of its sender
+    if (!score) {
+      return true;
+    }
+    const flipped = sideOf(slot) !== PLAYER.SELF;
+    return score.number === getPointNumber()
+      && score.self === (flipped ? room.score.opponent : room.score.self)
+      && score.opponent === (flipped ? room.score.self : room.score.opponent)
+      && score.games.self === (flipped ? room.score.games.opponent : room.score.games.self)
+      && score.games.opponent === (flipped ? room.score.games.self : room.score.games.opponent);
+  };
+
+  const startRally = () => {
+    const server = rules.getServer(room.score, room.firstServer);
+    const settings = status.get('settings');
+    rules.startRally(server, settings && settings.doubles ? rules.getServeOrder(room.score, room.firstServer) : null);
+    room.point = null;
+    room.rally = null;
+  };
+
+  const revive = slot => {
+    // the hits reach us late, our ball might have ended the rally before the
+    // player that lost it hit the ball. if it wasn't too long ago the rally
+    // goes on
+    if (room.point && room.point.loser === sideOf(slot) && room.rally
+        && Date.now() - room.rally.time <= BALL_HISTORY_DURATION) {
+      rules.setState(room.rally.state, false);
+      room.point = null;
+    }
+  };
+
+  const setBall = (slot, data) => {
+    const point = toHostSpace(slot, data.point, true);
+    const velocity = toHostSpace(slot, data.velocity, false);
+    ball.position.set(point.x, point.y, point.z);
+    ball.velocity.set(velocity.x, velocity.y, velocity.z);
+    if (data.spin) {
+      const spin = toHostSpace(slot, data.spin, false);
+      ball.angularVelocity.set(spin.x, spin.y, spin.z);
+    } else {
+      ball.angularVelocity.set(0, 0, 0);
+    }
+    room.age = 0;
+    room.history = [];
+    room.playing = true;
+  };
+
+  const isValidHit = (slot, data) => {
+    const point = toHostSpace(slot, data.point, true);
+    const distance = position => Math.sqrt(
+      Math.pow(position.x - point.x, 2)
+      + Math.pow(position.y - point.y, 2)
+      + Math.pow(position.z - point.z, 2)
+    );
+    const paddle = room.paddles[slot];
+    if (!paddle || distance(paddle) > PADDLE_REACH) {
+      return false;
+    }
+    // the hit happened a while ago, somewhere on the recent flight of the ball
+    return room.history.some(position => distance(position) <= BALL_REACH);
+  };
+
+  const decide = () => {
+    // whatever the player that sent the miss says, the rally counts as our
+    // ball played it
+    const miss = room.miss;
+    room.miss = null;
+    if (!room.point) {
+      // end it like a stuck rally, the point comes with the next update
+      rules.endRally();
+      rules.update(ball.position, ball.velocity);
+    }
+    const decided = room.point && room.point.winner ? addPoint(room.point.winner) : false;
+    if (!countsLikeUs(miss.slot, miss.data.score)) {
+      console.warn(`room ${id}: player ${miss.slot} counts differently, sending our score`);
+      sendScore();
+    }
+    setBall(miss.slot, miss.data);
+    if (!decided) {
+      startRally();
+      return;
+    }
+    // after changing ends the player that decided the game puts the ball in
+    // place for the next serve, after the last game everybody has to ask for
+    // another match
+    room.waiting = rules.isMatchOver(room.score.games) ? WAITING.RESTART : WAITING.SERVE;
+  };
+
+  const onMiss = (slot, data) => {
+    // the players tell whether a miss decided a rally or only puts the ball
+    // in place, we go by what we expect instead
+    if (room.miss) {
+      decide();
+    }
+    if (room.waiting === WAITING.RESTART) {
+      return;
+    }
+    if (room.waiting) {
+      room.waiting = null;
+      setBall(slot, data);
+      startRally();
+      return;
+    }
+    room.miss = {slot, data, since: Date.now()};
+  };
+
+  const onRestart = slot => {
+    // the score only starts over once everybody wants to play again
+    if (room.waiting !== WAITING.RESTART) {
+      return;
+    }
+    if (room.restarts.indexOf(slot) === -1) {
+      room.restarts.push(slot);
+    }
+    if (room.restarts.length === getPlayerCount()) {
+      room.restarts = [];
+      resetScore();
+      room.waiting = WAITING.START;
+    }
+  };
+
+  const onHit = (slot, data) => {
+    if (room.miss) {
+      // the next rally started already
+      decide();
+    }
+    if (!room.playing || isValidHit(slot, data)) {
+      revive(slot);
+      setBall(slot, data);
+      rules.onHit(sideOf(slot), toHostSpace(slot, data.point, true), slot);
+      return;
+    }
+    console.warn(`room ${id}: rejected a hit of player ${slot}`);
+    // the clients took the hit and started counting the age of the ball from
+    // it, so do we. our ball flies on and corrects theirs right away
+    room.age = 0;
+    room.history = [];
+    sendBall();
+  };
+
+  const listen = slot => {
+    const player = players[slot - 1];
+    paddles[slot - 1].subscribe('position', value => {
+      room.paddles[slot] = toHostSpace(slot, protocol.decodeMove(value).position, true);
+    });
+    player.subscribe('hit', value => {
+      onHit(slot, value);
+    });
+    // a decided rally or a ball put in place for a serve
+    player.subscribe('miss', value => {
+      onMiss(slot, value);
+    });
+    player.subscribe('message', value => {
+      if (value.action === ACTION.RESTART_GAME) {
+        onRestart(slot);
+      }
+    });
+  };
+  [1, 2, 3, 4].forEach(listen);
+
+  emitter.on(EVENT.BALL_TABLE_COLLISION, (body, target) => {
+    // eslint-disable-next-line
+    if (target._name === 'table-2-player') {
+      rules.onTableBounce(body.position, body.velocity);
+    }
+  });
+  emitter.on(EVENT.BALL_NET_COLLISION, () => {
+    rules.onNetHit();
+  });
+  emitter.on(EVENT.POINT, point => {
+    room.point = point;
+  });
+
+  const interval = setInterval(() => {
+    if (!room.playing) {
+      return;
+    }
+    const settings = status.get('settings');
+    if (settings && settings.gravity && settings.gravity !== config.gravity) {
+      config.gravity = settings.gravity;
+      physics.updateGravity();
+    }
+    if (rules.live) {
+      // next uses the same object all rally long, see Rules.takeTurn
+      room.rally = {state: JSON.parse(JSON.stringify(rules.getState())), time: Date.now()};
+    }
+    physics.step(STEP_INTERVAL / 1000);
+    rules.update(ball.position, ball.velocity);
+    if (room.miss && (room.point || Date.now() - room.miss.since > DECISION_TIMEOUT)) {
+      decide();
+    }
+    room.age += STEP_INTERVAL;
+    room.history.push(vector(ball.position));
+    if (room.history.length > BALL_HISTORY_DURATION / STEP_INTERVAL) {
+      room.history.shift();
+    }
+    if (Date.now() - room.lastSync >= config.ballSyncInterval) {
+      sendBall();
+    }
+  }, STEP_INTERVAL);
+
+  return {
+    close() {
+      clearInterval(interval);
+      [status, messages].concat(players, paddles).forEach(record => {
+        record.discard();
+      });
+    },
+  };
+};
+
+module.exports = provider => {
+  // id -> room, see deepstreamRooms in deepstream.js for when they come and go
+  const rooms = new Map();
+  return {
+    open(id) {
+      if (!rooms.has(id)) {
+        rooms.set(id, createRoom(provider, id));
+      }
+    },
+    close(id) {
+      if (rooms.has(id)) {
+        rooms.get(id).close();
+        rooms.delete(id);
+      }
+    },
+  };
+};
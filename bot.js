@@ -0,0 +1,40 @@
+'use strict';
+
+// plays a room as the guest without a screen, see src/javascripts/bot.js.
+// node bot.js <room code> [deepstream server] [easy|medium|hard]
+require('./headless');
+
+const DeepstreamTransport = require('./src/javascripts/transport/deepstream').default;
+const Bot = require('./src/javascripts/bot').default;
+const constants = require('./src/javascripts/constants');
+
+const id = process.argv[2];
+const server = process.argv[3] || 'localhost:6020';
+const difficulty = constants.AI_DIFFICULTY[(process.argv[4] || 'medium').toUpperCase()];
+
+if (!id || !difficulty) {
+  console.log('usage: node bot.js <room code> [deepstream server] [easy|medium|hard]');
+  process.exit(1);
+}
+
+const bot = new Bot(new DeepstreamTransport(), difficulty);
+
+bot.emitter.on(constants.EVENT.GAME_OVER, score => {
+  // the score as the host sees it, it plays from the near end
+  console.log(`match over, host ${score.games.self} - bot ${score.games.opponent}`);
+});
+bot.emitter.on(constants.EVENT.OPPONENT_DISCONNECTED, () => {
+  console.log('the host left');
+  process.exit(0);
+});
+process.on('SIGINT', () => {
+  bot.stop();
+  process.exit(0);
+});
+
+bot.join(server, id).then(() => {
+  console.log(`joined room ${id} on ${server} as player ${bot.slot}`);
+}, e => {
+  console.error(`cannot join room ${id}: ${e}`);
+  process.exit(1);
+});
@@ -1,30 +1,485 @@
 'use strict';
 
+const crypto = require('crypto');
 const express = require('express');
 const fallback = require('express-history-api-fallback');
 const DeepstreamServer = require('deepstream.io');
+const deepstreamClient = require('deepstream.io-client-js');
+const WebSocket = require('ws');
 const C = DeepstreamServer.constants;
 
 const app = express();
 const port = process.env.PORT || 8081;
 const root = `${__dirname}/public`;
 
+// the deepstream servers the clients can choose from, in the same order for
+// everyone. SERVERS_CONFIG can point to another file, see servers.json
+const servers = require(process.env.SERVERS_CONFIG || './servers.json');
+
+app.get('/servers.json', (req, res) => {
+  res.json(servers);
+});
+
+// how the server is doing, loadtest.js follows the memory with it. only
+// with STATS set, nobody else needs to know
+if (process.env.STATS) {
+  app.get('/stats', (req, res) => {
+    res.json({
+      uptime: process.uptime(),
+      memory: process.memoryUsage(),
+      rooms: deepstreamRooms.size,
+      relayRooms: rooms.size,
+    });
+  });
+}
+
 // serve statically through express
 // TODO: serve through nginx later for better performance or use CDN
 app.use(express.static(root));
 
 // start the main express server
-app.listen(port);
+const httpServer = app.listen(port);
 
 // route everthing else back to the index.html for the SPA to work nicely
 // NOTE: it's important to load this after the /api route to not overwrite it
 app.use(fallback('index.html', {root}));
 
-// setup deepstream server
+// setup deepstream server. the clients only write their own records in their
+// rooms, the server answers the rpcs and writes the record of the server, see
+// permissions.yml
 const server = new DeepstreamServer({
   host: 'localhost',
   port: 6020,
+  permission: {
+    type: 'config',
+    options: {path: `${__dirname}/permissions.yml`},
+  },
+});
+
+// the clients log in with a secret of their own and get the name that goes
+// with it, nobody else can log in with that name and write their records.
+// only we know the password of the server
+const SERVER_USER = 'server';
+const serverPassword = crypto.randomBytes(16).toString('hex');
+server.set('authenticationHandler', {
+  isReady: true,
+  description: 'a name for the secret of every client, the server with password',
+  isValidUser(connectionData, authData, callback) {
+    if (authData.username === SERVER_USER) {
+      callback(authData.password === serverPassword, {username: SERVER_USER});
+      return;
+    }
+    if (!authData.secret) {
+      callback(false);
+      return;
+    }
+    const user = crypto.createHash('sha256').update(String(authData.secret)).digest('hex').slice(0, 20);
+    callback(true, {username: user, clientData: {user}});
+  },
 });
 
 // start the server
 server.start();
+
+// quick match, see DeepstreamTransport.findMatch. players wait in the queue
+// with a room code of their own until somebody else comes along, the one who
+// waited longer opens the room and the other one joins it
+// ms without a request before a waiting player is dropped from the queue,
+// waiting clients repeat their request every 10 seconds
+const QUEUE_TIMEOUT = 25000;
+// token -> {room, user, seen}, in the order the players came in
+const queue = new Map();
+
+const provideQuickMatch = (provider, authority) => {
+  provider.rpc.provide('quick-match', (data, response) => {
+    const now = Date.now();
+    queue.forEach((entry, token) => {
+      if (now - entry.seen > QUEUE_TIMEOUT) {
+        queue.delete(token);
+      }
+    });
+    if (queue.has(data.token)) {
+      queue.get(data.token).seen = now;
+      response.send('waiting');
+      return;
+    }
+    if (queue.size === 0) {
+      queue.set(data.token, {room: data.room, user: data.user, seen: now});
+      response.send('waiting');
+      return;
+    }
+    const token = queue.keys().next().value;
+    const host = queue.get(token);
+    const room = host.room;
+    queue.delete(token);
+    // the room exists before the guest asks for it, see room-open below.
+    // quick matches are singles
+    deepstreamRooms.set(room, {
+      players: [host.user],
+      capacity: 2,
+      opened: now,
+      timeout: QUICK_MATCH_ROOM_TIMEOUT,
+      gone: {},
+    });
+    if (authority) {
+      authority.open(room);
+    }
+    setPlayers(provider, room, () => {
+      response.send('matched');
+      provider.event.emit(`quick-match/${token}`, {room, isHost: true});
+      provider.event.emit(`quick-match/${data.token}`, {room, isHost: false});
+    });
+  });
+  provider.rpc.provide('quick-match-cancel', (data, response) => {
+    queue.delete(data.token);
+    response.send(true);
+  });
+};
+
+// rooms of the deepstream clients, see DeepstreamTransport. the clients log
+// in with a name of their own, this way we know who is still around. a guest
+// is a player once it got a slot from room-claim, nobody else can leave the
+// room. a guest that leaves or doesn't come back in time gives its slot to
+// the next one. a room closes when the host leaves, doesn't come back in time
+// or when nobody joins it for too long, then all of its records are deleted
+// ms a player gets to come back, a bit more than reconnectGracePeriod
+const PRESENCE_TIMEOUT = 35000;
+// ms a room waits for its guests
+const OPEN_ROOM_TIMEOUT = 30 * 60 * 1000;
+// ms the guest of a quick match gets to join, it asks right away
+const QUICK_MATCH_ROOM_TIMEOUT = 30000;
+const EXPIRY_INTERVAL = 10000;
+// every record of a room, see DeepstreamTransport.setRecords
+const ROOM_RECORDS = ['status', 'server'].concat(...[1, 2, 3, 4].map(slot => [`player${slot}`, `paddle${slot}`]));
+// id -> {players: [user...] by slot, null for a free slot, capacity, opened,
+// timeout, gone: {user: since}}
+const deepstreamRooms = new Map();
+// the number of players in a room with these settings, see MATCH_SETTINGS
+const capacityOf = settings => (settings && settings.doubles ? 4 : 2);
+
+// tell the deepstream server who plays in which slot of a room, only they may
+// write the records of their slots, see permissions.yml. calls back once the
+// server has it
+const setPlayers = (provider, id, callback) => {
+  const players = {};
+  deepstreamRooms.get(id).players.forEach((user, index) => {
+    if (user) {
+      players[index + 1] = user;
+    }
+  });
+  const record = provider.record.getRecord(`${id}-server`);
+  record.whenReady(() => {
+    record.set('players', players, () => {
+      record.discard();
+      callback();
+    });
+  });
+};
+
+const provideRooms = (provider, authority) => {
+  const closeRoom = id => {
+    deepstreamRooms.delete(id);
+    if (authority) {
+      authority.close(id);
+    }
+    ROOM_RECORDS.forEach(name => {
+      const record = provider.record.getRecord(`${id}-${name}`);
+      record.whenReady(() => {
+        record.delete();
+      });
+    });
+  };
+
+  const leaveRoom = (id, user) => {
+    const room = deepstreamRooms.get(id);
+    const index = room.players.indexOf(user);
+    if (index === 0) {
+      closeRoom(id);
+      return;
+    }
+    room.players[index] = null;
+    delete room.gone[user];
+    setPlayers(provider, id, () => {});
+  };
+
+  provider.rpc.provide('room-open', (data, response) => {
+    const existing = deepstreamRooms.get(data.room);
+    if (existing && existing.players[0] === data.user) {
+      // the room of a quick match, see above
+      response.send(true);
+      return;
+    }
+    if (existing) {
+      response.error('room already exists');
+      return;
+    }
+    deepstreamRooms.set(data.room, {
+      players: [data.user],
+      capacity: capacityOf(data.settings),
+      opened: Date.now(),
+      timeout: OPEN_ROOM_TIMEOUT,
+      gone: {},
+    });
+    if (authority) {
+      authority.open(data.room);
+    }
+    setPlayers(provider, data.room, () => {
+      response.send(true);
+    });
+  });
+  provider.rpc.provide('room-update', (data, response) => {
+    const room = deepstreamRooms.get(data.room);
+    if (room && room.players[0] === data.user) {
+      room.capacity = Math.max(capacityOf(data.settings), room.players.length);
+    }
+    response.send(true);
+  });
+  provider.rpc.provide('room-find', (data, response) => {
+    // spectators come and go as they like, guests claim a slot next
+    if (!deepstreamRooms.has(data.room)) {
+      response.error('no room found');
+      return;
+    }
+    response.send(true);
+  });
+  provider.rpc.provide('room-claim', (data, response) => {
+    // answers with the slot of the guest, 1 is the host
+    const room = deepstreamRooms.get(data.room);
+    if (!room) {
+      response.error('no room found');
+      return;
+    }
+    const index = room.players.indexOf(data.user);
+    if (index !== -1) {
+      response.send(index + 1);
+      return;
+    }
+    if (room.players.filter(user => user).length >= room.capacity) {
+      response.error('room already full');
+      return;
+    }
+    // the first free slot, or a new one
+    const slot = (room.players.indexOf(null) + 1) || room.players.length + 1;
+    room.players[slot - 1] = data.user;
+    setPlayers(provider, data.room, () => {
+      response.send(slot);
+    });
+  });
+  provider.rpc.provide('room-leave', (data, response) => {
+    const room = deepstreamRooms.get(data.room);
+    if (room && room.players.indexOf(data.user) !== -1) {
+      leaveRoom(data.room, data.user);
+    }
+    response.send(true);
+  });
+
+  provider.presence.subscribe((user, loggedIn) => {
+    deepstreamRooms.forEach(room => {
+      if (room.players.indexOf(user) === -1) {
+        return;
+      }
+      if (loggedIn) {
+        delete room.gone[user];
+      } else {
+        room.gone[user] = Date.now();
+      }
+    });
+  });
+  setInterval(() => {
+    const now = Date.now();
+    deepstreamRooms.forEach((room, id) => {
+      const idle = room.players.filter(user => user).length === 1 && now - room.opened > room.timeout;
+      if (idle) {
+        closeRoom(id);
+        return;
+      }
+      Object.keys(room.gone).filter(user => now - room.gone[user] > PRESENCE_TIMEOUT).forEach(user => {
+        if (deepstreamRooms.has(id)) {
+          leaveRoom(id, user);
+        }
+      });
+    });
+  }, EXPIRY_INTERVAL);
+};
+
+server.on('started', () => {
+  const provider = deepstreamClient('localhost:6020');
+  provider.login({username: SERVER_USER, password: serverPassword}, success => {
+    if (success) {
+      // with AUTHORITY set the server owns the ball of every deepstream room,
+      // see authority.js
+      const authority = process.env.AUTHORITY ? require('./authority')(provider) : null;
+      provideQuickMatch(provider, authority);
+      provideRooms(provider, authority);
+    }
+  });
+});
+
+// plain websocket relay as an alternative to deepstream, see
+// src/javascripts/transport/relay.js for the frames
+const rooms = new Map();
+// a room has two players, four in doubles, see MATCH_SETTINGS. the slot of a
+// guest that left is null until the next one takes it
+const isFull = room => room.players.filter(socket => socket).length >= (room.settings && room.settings.doubles ? 4 : 2);
+const relay = new WebSocket.Server({server: httpServer, path: '/relay'});
+// sockets waiting for a quick match with their room codes, same as the
+// deepstream queue above but the sockets tell us when they are gone
+const relayQueue = [];
+// socket -> the room it plays in or watches, a socket is in one room at a
+// time
+const roomOf = new Map();
+
+const leaveQueue = socket => {
+  const index = relayQueue.map(waiting => waiting.socket).indexOf(socket);
+  if (index !== -1) {
+    relayQueue.splice(index, 1);
+  }
+};
+
+const write = (socket, frame) => {
+  if (socket && socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(frame));
+  }
+};
+
+// the slot of a socket in its room, 1 is the host, 0 for spectators
+const slotOf = (room, socket) => room.players.indexOf(socket) + 1;
+
+// send a frame to everybody in the room but the sender, with the slot it
+// came from
+const broadcast = (room, socket, frame) => {
+  const data = Object.assign({player: slotOf(room, socket)}, frame.data);
+  room.players.concat(room.spectators).forEach(other => {
+    if (other !== socket) {
+      write(other, Object.assign({}, frame, {data}));
+    }
+  });
+};
+
+const leaveRoom = socket => {
+  const room = roomOf.get(socket);
+  if (!room) {
+    return;
+  }
+  roomOf.delete(socket);
+  if (!slotOf(room, socket)) {
+    room.spectators.splice(room.spectators.indexOf(socket), 1);
+    return;
+  }
+  // same as ACTION.DISCONNECT on the client, a match doesn't go on without
+  // one of its players. a guest gives its slot to the next one, the room
+  // closes with the host
+  broadcast(room, socket, {type: 'message', action: 'DISCONNECT', data: {}});
+  if (slotOf(room, socket) > 1) {
+    room.players[slotOf(room, socket) - 1] = null;
+    return;
+  }
+  rooms.delete(room.id);
+  room.players.concat(room.spectators).forEach(other => {
+    roomOf.delete(other);
+  });
+};
+
+// put a socket in a room, it leaves the one it was in before
+const enterRoom = (socket, room) => {
+  if (roomOf.get(socket) !== room) {
+    leaveRoom(socket);
+  }
+  roomOf.set(socket, room);
+};
+
+relay.on('connection', socket => {
+  socket.on('message', message => {
+    let frame;
+    try {
+      frame = JSON.parse(message);
+    } catch (e) {
+      return;
+    }
+    switch (frame.type) {
+      case 'open': {
+        const existing = rooms.get(frame.room);
+        if (existing && existing.players[0] === socket) {
+          // the room of a quick match, see queue below
+          existing.settings = frame.settings;
+          return;
+        }
+        if (existing) {
+          write(socket, {type: 'error', message: 'room already exists'});
+          return;
+        }
+        const room = {id: frame.room, players: [socket], spectators: [], settings: frame.settings};
+        enterRoom(socket, room);
+        rooms.set(room.id, room);
+        break;
+      }
+      case 'update': {
+        const room = roomOf.get(socket);
+        if (room && slotOf(room, socket) === 1) {
+          room.settings = frame.settings;
+        }
+        break;
+      }
+      case 'join': {
+        const room = rooms.get(frame.room);
+        if (!room) {
+          write(socket, {type: 'error', message: 'no room found'});
+        } else if (isFull(room)) {
+          write(socket, {type: 'error', message: 'room already full'});
+        } else {
+          enterRoom(socket, room);
+          const slot = (room.players.indexOf(null) + 1) || room.players.length + 1;
+          room.players[slot - 1] = socket;
+          write(socket, {type: 'joined', settings: room.settings, slot});
+        }
+        break;
+      }
+      case 'watch': {
+        const room = rooms.get(frame.room);
+        if (!room) {
+          write(socket, {type: 'error', message: 'no room found'});
+        } else {
+          enterRoom(socket, room);
+          room.spectators.push(socket);
+          write(socket, {type: 'watching', settings: room.settings});
+        }
+        break;
+      }
+      case 'queue': {
+        leaveQueue(socket);
+        const waiting = relayQueue.shift();
+        if (!waiting) {
+          relayQueue.push({socket, room: frame.room});
+          return;
+        }
+        // the room exists before the guest asks for it, the host only
+        // sends the settings. quick matches are singles with the default
+        // settings
+        const room = {id: waiting.room, players: [waiting.socket], spectators: [], settings: null};
+        enterRoom(waiting.socket, room);
+        rooms.set(room.id, room);
+        write(waiting.socket, {type: 'matched', room: waiting.room, isHost: true});
+        write(socket, {type: 'matched', room: waiting.room, isHost: false});
+        break;
+      }
+      case 'cancel':
+        leaveQueue(socket);
+        break;
+      case 'leave':
+        leaveRoom(socket);
+        break;
+      case 'message': {
+        const room = roomOf.get(socket);
+        if (room && slotOf(room, socket)) {
+          broadcast(room, socket, frame);
+        }
+        break;
+      }
+      default:
+    }
+  });
+  socket.on('close', () => {
+    leaveQueue(socket);
+    leaveRoom(socket);
+  });
+});
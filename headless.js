@@ -0,0 +1,15 @@
+'use strict';
+
+// lets node run the game code, e.g. the tests in the __tests__ folders,
+// authority.js and bot.js. the game code is written for the browser, so it's
+// compiled the same way and gets the few globals it expects: cannon, the
+// user agent that Physics asks whether it runs on a phone, and the websocket
+// the deepstream client uses
+require('babel-core/register')({
+  presets: ['es2015', 'stage-1'],
+  only: /src\/javascripts/,
+});
+
+global.CANNON = require('cannon');
+global.navigator = global.navigator || {userAgent: 'node'};
+global.WebSocket = global.WebSocket || require('ws');
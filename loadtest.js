@@ -0,0 +1,254 @@
+'use strict';
+
+// how many rooms can one deepstream.js carry? opens pairs of simulated
+// players against a local server, both send what the game sends and report
+// the messages per second, how long the server took to relay them and the
+// memory of the server. start the server with STATS=1 first, then e.g.
+// node loadtest.js --rooms 50 --duration 120
+require('./headless');
+
+const http = require('http');
+const DeepstreamTransport = require('./src/javascripts/transport/deepstream').default;
+const constants = require('./src/javascripts/constants');
+const protocol = require('./src/javascripts/protocol');
+
+const ACTION = constants.ACTION;
+const config = constants.INITIAL_CONFIG;
+
+const options = {
+  rooms: 10,
+  // seconds the test runs after the last room started
+  duration: 60,
+  // ms between opening two rooms
+  ramp: 200,
+  server: 'localhost:6020',
+  stats: 'http://localhost:8081/stats',
+  // seconds between two reports
+  interval: 5,
+};
+for (let i = 2; i < process.argv.length; i += 2) {
+  const key = process.argv[i].replace(/^--/, '');
+  if (!(key in options)) {
+    console.log(`usage: node loadtest.js ${Object.keys(options).map(name => `[--${name} ${options[name]}]`).join(' ')}`);
+    process.exit(1);
+  }
+  options[key] = typeof options[key] === 'number' ? Number(process.argv[i + 1]) : process.argv[i + 1];
+}
+
+// ms between two hits of a rally, and how many hits a rally has. a hit is
+// one way across the table, it takes the ball about that long
+const HIT_INTERVAL = 900;
+const RALLY_HITS = 6;
+// same as in Communication
+const PING_INTERVAL = 2000;
+const HEARTBEAT_INTERVAL = 1000;
+
+// what happened since the last report, and in the whole test
+const stats = {
+  sent: 0,
+  received: 0,
+  // ms from sending a message to receiving it on the other end
+  latencies: [],
+  failed: 0,
+};
+const totals = {sent: 0, received: 0, latencies: []};
+const memory = [];
+const pairs = [];
+
+const percentile = (sorted, p) => (
+  sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))] : 0
+);
+
+const describeLatencies = latencies => {
+  const sorted = latencies.slice().sort((a, b) => a - b);
+  return `p50 ${percentile(sorted, 0.5)}ms p90 ${percentile(sorted, 0.9)}ms `
+    + `p99 ${percentile(sorted, 0.99)}ms max ${sorted.length ? sorted[sorted.length - 1] : 0}ms`;
+};
+
+const megabytes = bytes => `${Math.round(bytes / 1024 / 1024)}MB`;
+
+const getServerStats = () => new Promise(resolve => {
+  http.get(options.stats, res => {
+    let body = '';
+    res.on('data', chunk => {
+      body += chunk;
+    });
+    res.on('end', () => {
+      try {
+        resolve(JSON.parse(body));
+      } catch (e) {
+        resolve(null);
+      }
+    });
+  }).on('error', () => {
+    resolve(null);
+  });
+});
+
+// a player that sends the messages of a match without playing one: a move
+// every moveInterval, pings and heartbeats, and a hit every HIT_INTERVAL
+// from alternating ends with a miss at the end of every rally. the hits,
+// misses and heartbeats get the time they were sent in data.sent, the moves
+// have it in data.t already. the pings have no room for it
+const createPlayer = transport => {
+  const player = {transport, sequence: 0, intervals: []};
+  player.send = (action, data) => {
+    player.sequence += 1;
+    stats.sent += 1;
+    transport.send(action, Object.assign({s: player.sequence, sent: Date.now()}, data));
+  };
+  transport.onMessage((action, data) => {
+    const now = Date.now();
+    stats.received += 1;
+    const sent = action === ACTION.MOVE ? data.t : data.sent;
+    if (sent) {
+      stats.latencies.push(now - sent);
+    }
+    if (action === ACTION.PING) {
+      stats.sent += 1;
+      transport.send(ACTION.PONG, {index: data.index, to: data.player, time: now});
+    }
+  });
+  player.start = () => {
+    const position = {x: 0, y: config.tableHeight + 0.24, z: config.paddlePositionZ};
+    const rotation = {x: 0, y: 0, z: 0};
+    let pingNumber = 0;
+    player.intervals.push(setInterval(() => {
+      position.x = Math.sin(Date.now() / 500) * 0.5;
+      stats.sent += 1;
+      transport.send(ACTION.MOVE, protocol.encodeMove(position, rotation, Date.now()));
+    }, config.moveInterval));
+    player.intervals.push(setInterval(() => {
+      stats.sent += 1;
+      transport.send(ACTION.PING, {index: pingNumber});
+      pingNumber += 1;
+    }, PING_INTERVAL));
+    player.intervals.push(setInterval(() => {
+      player.send(ACTION.HEARTBEAT, {});
+    }, HEARTBEAT_INTERVAL));
+  };
+  player.stop = () => {
+    player.intervals.forEach(interval => {
+      clearInterval(interval);
+    });
+    transport.close();
+  };
+  return player;
+};
+
+const startRallies = (host, guest) => {
+  let hits = 0;
+  const ball = {
+    point: {x: 0, y: config.tableHeight + 0.2, z: config.paddlePositionZ},
+    velocity: {x: 0.3, y: 2, z: -4},
+    spin: {x: 0, y: 0, z: 0},
+  };
+  return setInterval(() => {
+    const player = hits % 2 === 0 ? host : guest;
+    hits += 1;
+    if (hits % RALLY_HITS === 0) {
+      player.send(ACTION.MISS, {
+        point: ball.point,
+        velocity: ball.velocity,
+        outcome: {winner: constants.PLAYER.SELF, fault: constants.FAULT.MISS},
+        isInit: false,
+        score: {number: hits / RALLY_HITS, self: 0, opponent: 0, games: {self: 0, opponent: 0}},
+      });
+    } else {
+      player.send(ACTION.HIT, ball);
+    }
+  }, HIT_INTERVAL);
+};
+
+const openPair = index => {
+  const id = `LOAD${index}-${Date.now()}`;
+  const host = createPlayer(new DeepstreamTransport());
+  const guest = createPlayer(new DeepstreamTransport());
+  const pair = {host, guest, rallies: null};
+  return host.transport.connect(options.server).then(() => {
+    host.transport.openRoom(id, {});
+    return guest.transport.connect(options.server);
+  }).then(() => guest.transport.joinRoom(id)).then(() => {
+    host.start();
+    guest.start();
+    pair.rallies = startRallies(host, guest);
+    pairs.push(pair);
+  }).catch(e => {
+    stats.failed += 1;
+    console.warn(`room ${index} failed: ${e}`);
+    host.stop();
+    guest.stop();
+  });
+};
+
+const addToTotals = () => {
+  totals.sent += stats.sent;
+  totals.received += stats.received;
+  totals.latencies = totals.latencies.concat(stats.latencies);
+  stats.sent = 0;
+  stats.received = 0;
+  stats.latencies = [];
+};
+
+const report = started => {
+  const seconds = options.interval;
+  getServerStats().then(server => {
+    if (server) {
+      memory.push(server.memory.rss);
+    }
+    console.log([
+      `${Math.round((Date.now() - started) / 1000)}s`,
+      `${pairs.length} rooms`,
+      `sent ${Math.round(stats.sent / seconds)}/s`,
+      `received ${Math.round(stats.received / seconds)}/s`,
+      describeLatencies(stats.latencies),
+      server ? `server rss ${megabytes(server.memory.rss)} heap ${megabytes(server.memory.heapUsed)}` : 'no server stats',
+    ].join(', '));
+    addToTotals();
+  });
+};
+
+const finish = (started, reporting) => {
+  clearInterval(reporting);
+  pairs.forEach(pair => {
+    clearInterval(pair.rallies);
+    pair.host.stop();
+    pair.guest.stop();
+  });
+  addToTotals();
+  const seconds = (Date.now() - started) / 1000;
+  console.log(`\n${pairs.length} of ${options.rooms} rooms for ${Math.round(seconds)}s, ${stats.failed} failed`);
+  console.log(`sent ${Math.round(totals.sent / seconds)}/s, received ${Math.round(totals.received / seconds)}/s`);
+  console.log(`relay latency ${describeLatencies(totals.latencies)}`);
+  if (memory.length) {
+    console.log(`server rss ${megabytes(memory[0])} to ${megabytes(memory[memory.length - 1])}, `
+      + `max ${megabytes(Math.max.apply(null, memory))}`);
+  }
+  // give the transports a moment to leave their rooms
+  setTimeout(() => {
+    process.exit(0);
+  }, 1000);
+};
+
+const run = () => {
+  const started = Date.now();
+  const reporting = setInterval(() => {
+    report(started);
+  }, options.interval * 1000);
+  let opening = Promise.resolve();
+  for (let i = 0; i < options.rooms; i += 1) {
+    opening = opening.then(() => {
+      openPair(i);
+      return new Promise(resolve => {
+        setTimeout(resolve, options.ramp);
+      });
+    });
+  }
+  opening.then(() => {
+    setTimeout(() => {
+      finish(started, reporting);
+    }, options.duration * 1000);
+  });
+};
+
+run();
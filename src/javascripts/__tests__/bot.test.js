@@ -0,0 +1,50 @@
+/* eslint-env mocha */
+import {assert} from 'chai';
+import LoopbackTransport from '../transport/loopback';
+import Bot from '../bot';
+import {EVENT, PLAYER} from '../constants';
+
+// a bot that plays a best of 3 without a room, games are counted as the
+// host sees them
+const createBot = () => {
+  const bot = new Bot(new LoopbackTransport());
+  bot.config.bestOf = 3;
+  return bot;
+};
+
+// the winner takes a game 11 to 5
+const winGame = (bot, winner) => {
+  const loser = winner === PLAYER.SELF ? PLAYER.OPPONENT : PLAYER.SELF;
+  for (let point = 0; point < 16; point += 1) {
+    bot.addPoint(point < 11 ? winner : loser);
+  }
+  bot.endGame(false);
+};
+
+describe('Bot', () => {
+  it('counts the games of a match and starts the next one', () => {
+    const bot = createBot();
+    winGame(bot, PLAYER.OPPONENT);
+    assert.deepEqual(bot.score.games, {self: 0, opponent: 1});
+    assert.deepEqual(bot.score.history, [{self: 5, opponent: 11}]);
+    assert.equal(bot.score.self, 0);
+    assert.equal(bot.score.opponent, 0);
+    // the other player serves first in the next game
+    assert.equal(bot.firstServer, PLAYER.OPPONENT);
+  });
+
+  it('ends the match once somebody won two of three games', () => {
+    const bot = createBot();
+    let over = null;
+    bot.emitter.on(EVENT.GAME_OVER, score => {
+      over = score;
+    });
+    winGame(bot, PLAYER.SELF);
+    winGame(bot, PLAYER.OPPONENT);
+    assert.isNull(over);
+    winGame(bot, PLAYER.SELF);
+    assert.deepEqual(over.games, {self: 2, opponent: 1});
+    assert.lengthOf(over.history, 3);
+    assert.isFalse(bot.playing);
+  });
+});
@@ -0,0 +1,52 @@
+/* eslint-env mocha */
+import {assert} from 'chai';
+import Clock from '../util/clock';
+
+describe('Clock', () => {
+  describe('pings', () => {
+    it('measures the latency and the offset of the other clock', () => {
+      const clock = new Clock();
+      // the other clock is 1000 ms ahead, 20 ms each way
+      clock.addSample(0, 1020, 40);
+      assert.equal(clock.latency, 20);
+      assert.equal(clock.offset, 1000);
+      assert.equal(clock.toLocalTime(2000), 1000);
+    });
+
+    it('takes the offset of the fastest round trip', () => {
+      const clock = new Clock();
+      clock.addSample(0, 1020, 40);
+      // 200 ms on the way back only, the offset looks 100 ms smaller
+      clock.addSample(100, 1120, 320);
+      assert.equal(clock.offset, 1000);
+    });
+  });
+
+  describe('arrivals', () => {
+    it('takes the offset of the fastest message', () => {
+      const clock = new Clock();
+      // sent at 1000 on the other clock, the message took 50 and then 20 ms
+      clock.addArrival(1000, 50);
+      clock.addArrival(1100, 120);
+      assert.equal(clock.arrivalOffset, 980);
+      assert.equal(clock.toLocalTime(2000), 1020);
+    });
+
+    it('forgets a fast message after a while', () => {
+      const clock = new Clock();
+      clock.addArrival(1000, 20);
+      // the network got slower, every message takes 100 ms now
+      for (let time = 1000; time <= 7000; time += 1000) {
+        clock.addArrival(1000 + time, time + 100);
+      }
+      assert.equal(clock.arrivalOffset, 900);
+    });
+
+    it('is not used once there are pings', () => {
+      const clock = new Clock();
+      clock.addArrival(1000, 50);
+      clock.addSample(0, 1020, 40);
+      assert.equal(clock.toLocalTime(2000), 1000);
+    });
+  });
+});
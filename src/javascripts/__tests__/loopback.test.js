@@ -0,0 +1,105 @@
+/* eslint-env mocha */
+import {assert} from 'chai';
+import LoopbackTransport from '../transport/loopback';
+import {ACTION} from '../constants';
+
+// the loopback transport delivers after a timeout, even without latency
+const delivered = () => new Promise(resolve => {
+  setTimeout(resolve, 10);
+});
+
+const record = transport => {
+  const received = [];
+  transport.onMessage((action, data) => {
+    received.push({action, data});
+  });
+  return received;
+};
+
+// a host and a guest in the room with the given code, with everything each
+// of them received
+const openPair = id => {
+  const host = new LoopbackTransport();
+  const guest = new LoopbackTransport();
+  const toHost = record(host);
+  const toGuest = record(guest);
+  host.openRoom(id, {doubles: false});
+  return guest.joinRoom(id).then(settings => {
+    return {host, guest, toHost, toGuest, settings};
+  });
+};
+
+describe('LoopbackTransport', () => {
+  it('lets a guest join an open room with its settings', () => (
+    openPair('OPEN').then(pair => {
+      assert.isTrue(pair.host.isHost);
+      assert.isFalse(pair.guest.isHost);
+      assert.deepEqual(pair.settings, {doubles: false});
+    })
+  ));
+
+  it('rejects joining a room that is full or gone', () => (
+    openPair('FULL').then(() => (
+      new LoopbackTransport().joinRoom('FULL')
+    )).then(() => {
+      assert.fail('joined a full room');
+    }, e => {
+      assert.equal(e, 'room already full');
+      return new LoopbackTransport().joinRoom('GONE');
+    }).then(() => {
+      assert.fail('joined a room nobody opened');
+    }, e => {
+      assert.equal(e, 'no room found');
+    })
+  ));
+
+  it('delivers a copy of every message both ways, in order', () => {
+    const data = {point: {x: 1, y: 2, z: 3}};
+    return openPair('SEND').then(pair => {
+      pair.host.send(ACTION.HIT, data);
+      pair.host.send(ACTION.MISS, {isInit: true});
+      pair.guest.send(ACTION.HIT, {point: {x: 3, y: 2, z: 1}});
+      return delivered().then(() => {
+        assert.deepEqual(pair.toGuest.map(message => message.action), [ACTION.HIT, ACTION.MISS]);
+        assert.deepEqual(pair.toGuest[0].data.point, data.point);
+        assert.notStrictEqual(pair.toGuest[0].data.point, data.point);
+        assert.lengthOf(pair.toHost, 1);
+        assert.deepEqual(pair.toHost[0].data.point, {x: 3, y: 2, z: 1});
+      });
+    });
+  });
+
+  it('gives the slot of a guest that left to the next one', () => {
+    const host = new LoopbackTransport();
+    const guests = [1, 2, 3].map(() => new LoopbackTransport());
+    host.openRoom('DOUBLES', {doubles: true});
+    return guests[0].joinRoom('DOUBLES').then(() => guests[1].joinRoom('DOUBLES')).then(() => {
+      guests[0].leaveRoom();
+      return guests[2].joinRoom('DOUBLES');
+    }).then(() => {
+      assert.equal(guests[1].slot, 3);
+      assert.equal(guests[2].slot, 2);
+      const toHost = record(host);
+      guests[2].send(ACTION.HIT, {});
+      return delivered().then(() => {
+        assert.lengthOf(toHost, 1);
+        assert.equal(toHost[0].data.player, 2);
+      });
+    });
+  });
+
+  it('closes the room with the host', () => (
+    openPair('CLOSE').then(pair => {
+      pair.host.close();
+      pair.host.send(ACTION.HIT, {});
+      return delivered().then(() => {
+        assert.lengthOf(pair.toGuest, 0);
+        return new LoopbackTransport().joinRoom('CLOSE');
+      });
+    }).then(() => {
+      assert.fail('joined a closed room');
+    }, e => {
+      assert.equal(e, 'no room found');
+    })
+  ));
+});
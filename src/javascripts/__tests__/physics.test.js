@@ -0,0 +1,93 @@
+/* eslint-env mocha */
+import {assert} from 'chai';
+import EventEmitter from 'event-emitter';
+import Physics from '../physics';
+import {INITIAL_CONFIG, MODE, EVENT} from '../constants';
+
+const createPhysics = () => {
+  const physics = new Physics(
+    Object.assign({}, INITIAL_CONFIG, {mode: MODE.MULTIPLAYER}),
+    EventEmitter({})
+  );
+  physics.setupWorld();
+  physics.addBall();
+  return physics;
+};
+
+describe('Physics', () => {
+  describe('predictBallPosition', () => {
+    it('is where the ball is at t=0', () => {
+      const physics = createPhysics();
+      const position = physics.predictBallPosition(0);
+      assert.closeTo(position.x, physics.ball.position.x, 1e-9);
+      assert.closeTo(position.y, physics.ball.position.y, 1e-9);
+      assert.closeTo(position.z, physics.ball.position.z, 1e-9);
+    });
+
+    it('works for less than one prediction step', () => {
+      const physics = createPhysics();
+      const ball = physics.ball;
+      const position = physics.predictBallPosition(5);
+      // about 15 mm at the 3 m/s of initBallPosition
+      assert.closeTo(position.z, ball.position.z + ball.velocity.z * 0.005, 1e-3);
+      assert.isAbove(position.z - ball.position.z, 0.01);
+    });
+
+    it('goes all the way between two prediction steps', () => {
+      const physics = createPhysics();
+      const ball = physics.ball;
+      const position = physics.predictBallPosition(25);
+      assert.closeTo(position.z, ball.position.z + ball.velocity.z * 0.025, 1e-3);
+    });
+
+    it('follows the ball along its flight', () => {
+      const physics = createPhysics();
+      const start = physics.ball.position.z;
+      // the ball flies towards +z, see initBallPosition
+      assert.isAbove(physics.predictBallPosition(100).z, start);
+      assert.isAbove(physics.predictBallPosition(200).z, physics.predictBallPosition(100).z);
+    });
+  });
+
+  describe('the net', () => {
+    const throwAtNet = physics => {
+      const config = physics.config;
+      physics.ball.position.set(0, config.tableHeight + config.netHeight / 2, config.tablePositionZ + 0.3);
+      physics.ball.velocity.set(0, 0, -3);
+      physics.ball.angularVelocity.set(0, 0, 0);
+    };
+
+    it('tells once per pass when the ball touches it', () => {
+      const physics = createPhysics();
+      let touches = 0;
+      physics.emitter.on(EVENT.BALL_NET_COLLISION, () => {
+        touches += 1;
+      });
+      throwAtNet(physics);
+      for (let i = 0; i < 30; i += 1) {
+        physics.step(1 / 60);
+      }
+      assert.equal(touches, 1);
+      // the ball bounced back, it can touch the net again
+      throwAtNet(physics);
+      for (let i = 0; i < 30; i += 1) {
+        physics.step(1 / 60);
+      }
+      assert.equal(touches, 2);
+    });
+
+    it('is not there without collision response', () => {
+      const physics = createPhysics();
+      physics.net.collisionResponse = 0;
+      let touches = 0;
+      physics.emitter.on(EVENT.BALL_NET_COLLISION, () => {
+        touches += 1;
+      });
+      throwAtNet(physics);
+      for (let i = 0; i < 30; i += 1) {
+        physics.step(1 / 60);
+      }
+      assert.equal(touches, 0);
+    });
+  });
+});
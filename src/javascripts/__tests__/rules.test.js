@@ -0,0 +1,256 @@
+/* eslint-env mocha */
+import {assert} from 'chai';
+import EventEmitter from 'event-emitter';
+import Rules from '../rules';
+import {INITIAL_CONFIG, PLAYER, FAULT, EVENT} from '../constants';
+
+const config = INITIAL_CONFIG;
+// on the table on either side of the net, the near end belongs to
+// PLAYER.SELF, see Rules
+const near = {x: 0.3, y: config.tableHeight, z: config.tablePositionZ + 0.5};
+const far = {x: -0.3, y: config.tableHeight, z: config.tablePositionZ - 0.5};
+// behind the table, where the players hit the ball
+const behindNear = {x: 0, y: 1, z: config.tablePositionZ + 2};
+const behindFar = {x: 0, y: 1, z: config.tablePositionZ - 2};
+const falling = {x: 0, y: -1, z: 0};
+
+const createRules = () => new Rules(Object.assign({}, config), EventEmitter({}));
+
+// the point the rules decided with the ball at position, null if the rally
+// goes on. a point is emitted with the update after it was decided, see
+// Rules.update
+const pointAt = (rules, position = {x: 0, y: 1, z: config.tablePositionZ}, velocity = {x: 0, y: 1, z: 0}) => {
+  let point = null;
+  rules.emitter.once(EVENT.POINT, decided => {
+    point = decided;
+  });
+  rules.update(position, velocity);
+  rules.update(position, velocity);
+  return point;
+};
+
+// a good serve of PLAYER.SELF, it bounced on both sides
+const serve = rules => {
+  rules.startRally(PLAYER.SELF);
+  rules.onHit(PLAYER.SELF, behindNear);
+  rules.onTableBounce(near, falling);
+  rules.onTableBounce(far, falling);
+};
+
+// the serve and its return by PLAYER.OPPONENT
+const rally = rules => {
+  serve(rules);
+  rules.onHit(PLAYER.OPPONENT, behindFar);
+};
+
+describe('Rules', () => {
+  describe('faults', () => {
+    it('goes on after a good serve and return', () => {
+      const rules = createRules();
+      rally(rules);
+      rules.onTableBounce(near, falling);
+      assert.isNull(pointAt(rules));
+      assert.isTrue(rules.live);
+    });
+
+    it('gives the point away for a double bounce', () => {
+      const rules = createRules();
+      serve(rules);
+      rules.onTableBounce(far, falling);
+      assert.deepEqual(pointAt(rules), {winner: PLAYER.SELF, loser: PLAYER.OPPONENT, fault: FAULT.DOUBLE_BOUNCE});
+    });
+
+    it('gives the point away for a bounce on the own side', () => {
+      const rules = createRules();
+      rally(rules);
+      rules.onTableBounce(far, falling);
+      assert.deepEqual(pointAt(rules), {winner: PLAYER.SELF, loser: PLAYER.OPPONENT, fault: FAULT.OWN_SIDE});
+    });
+
+    it('gives the point away for a ball that touched the net and went out', () => {
+      const rules = createRules();
+      rally(rules);
+      rules.onNetHit();
+      const point = pointAt(rules, {x: 0, y: config.tableHeight - 0.1, z: config.tablePositionZ}, falling);
+      assert.deepEqual(point, {winner: PLAYER.SELF, loser: PLAYER.OPPONENT, fault: FAULT.NET});
+    });
+
+    it('gives the point away for a ball that missed the table', () => {
+      const rules = createRules();
+      rally(rules);
+      const point = pointAt(rules, {x: 0, y: config.tableHeight - 0.1, z: config.tablePositionZ + 2}, falling);
+      assert.deepEqual(point, {winner: PLAYER.SELF, loser: PLAYER.OPPONENT, fault: FAULT.OUT});
+    });
+
+    it('gives the point away for a ball that was not returned', () => {
+      const rules = createRules();
+      serve(rules);
+      const point = pointAt(rules, {x: 0, y: config.ballRadius / 2, z: config.tablePositionZ - 2}, falling);
+      assert.deepEqual(point, {winner: PLAYER.SELF, loser: PLAYER.OPPONENT, fault: FAULT.MISS});
+    });
+
+    it('gives the point away for hitting the ball twice', () => {
+      const rules = createRules();
+      serve(rules);
+      rules.onHit(PLAYER.SELF, behindFar);
+      assert.deepEqual(pointAt(rules), {winner: PLAYER.OPPONENT, loser: PLAYER.SELF, fault: FAULT.DOUBLE_HIT});
+    });
+
+    it('gives the point away for a volley over the table', () => {
+      const rules = createRules();
+      rally(rules);
+      rules.onHit(PLAYER.SELF, Object.assign({}, near, {y: 1}));
+      assert.deepEqual(pointAt(rules), {winner: PLAYER.OPPONENT, loser: PLAYER.SELF, fault: FAULT.OBSTRUCTION});
+    });
+
+    it('gives the point away for a serve straight over the net', () => {
+      const rules = createRules();
+      rules.startRally(PLAYER.SELF);
+      rules.onHit(PLAYER.SELF, behindNear);
+      rules.onTableBounce(far, falling);
+      assert.deepEqual(pointAt(rules), {winner: PLAYER.OPPONENT, loser: PLAYER.SELF, fault: FAULT.SERVE});
+    });
+
+    it('gives the point away for a toss that lands on the table', () => {
+      const rules = createRules();
+      rules.startRally(PLAYER.SELF);
+      rules.onTableBounce(near, falling);
+      assert.deepEqual(pointAt(rules), {winner: PLAYER.OPPONENT, loser: PLAYER.SELF, fault: FAULT.SERVE});
+    });
+
+    it('repeats a serve that touched the net', () => {
+      const rules = createRules();
+      rules.startRally(PLAYER.SELF);
+      rules.onHit(PLAYER.SELF, behindNear);
+      rules.onTableBounce(near, falling);
+      rules.onNetHit();
+      rules.onTableBounce(far, falling);
+      assert.deepEqual(pointAt(rules), {winner: null, loser: null, fault: FAULT.LET});
+    });
+
+    it('ignores the ball coming up from the table', () => {
+      const rules = createRules();
+      serve(rules);
+      rules.onTableBounce(far, {x: 0, y: 1, z: 0});
+      assert.isNull(pointAt(rules));
+    });
+  });
+
+  describe('service', () => {
+    const serverAt = (self, opponent) => createRules().getServer({self, opponent}, PLAYER.SELF);
+
+    it('changes every two points', () => {
+      assert.equal(serverAt(0, 0), PLAYER.SELF);
+      assert.equal(serverAt(1, 0), PLAYER.SELF);
+      assert.equal(serverAt(1, 1), PLAYER.OPPONENT);
+      assert.equal(serverAt(0, 3), PLAYER.OPPONENT);
+      assert.equal(serverAt(2, 2), PLAYER.SELF);
+      assert.equal(serverAt(9, 8), PLAYER.SELF);
+    });
+
+    it('changes every point from deuce on', () => {
+      assert.equal(serverAt(10, 10), PLAYER.SELF);
+      assert.equal(serverAt(11, 10), PLAYER.OPPONENT);
+      assert.equal(serverAt(11, 11), PLAYER.SELF);
+      assert.equal(serverAt(11, 12), PLAYER.OPPONENT);
+      assert.equal(serverAt(12, 12), PLAYER.SELF);
+      assert.equal(serverAt(13, 12), PLAYER.OPPONENT);
+    });
+
+    it('starts with whoever serves first in the game', () => {
+      assert.equal(createRules().getServer({self: 0, opponent: 0}, PLAYER.OPPONENT), PLAYER.OPPONENT);
+      assert.equal(createRules().getServer({self: 11, opponent: 10}, PLAYER.OPPONENT), PLAYER.SELF);
+    });
+  });
+
+  describe('games', () => {
+    const isGameOver = (self, opponent) => createRules().isGameOver({self, opponent});
+
+    it('ends at 11 points', () => {
+      assert.isFalse(isGameOver(10, 0));
+      assert.isTrue(isGameOver(11, 0));
+      assert.isTrue(isGameOver(9, 11));
+    });
+
+    it('has to be won by two points', () => {
+      assert.isFalse(isGameOver(11, 10));
+      assert.isFalse(isGameOver(12, 11));
+      assert.isTrue(isGameOver(12, 10));
+      assert.isTrue(isGameOver(13, 15));
+    });
+  });
+
+  describe('doubles', () => {
+    // the host and the second guest play from the near end, see setSlot
+    const createDoubles = () => {
+      const rules = createRules();
+      rules.setSlot(1);
+      return rules;
+    };
+    const orderAt = (self, opponent) => createDoubles().getServeOrder({self, opponent}, PLAYER.SELF);
+
+    it('goes round all four players with the service', () => {
+      assert.deepEqual(orderAt(0, 0), {server: 1, receiver: 2});
+      assert.deepEqual(orderAt(1, 1), {server: 2, receiver: 3});
+      assert.deepEqual(orderAt(3, 1), {server: 3, receiver: 4});
+      assert.deepEqual(orderAt(3, 3), {server: 4, receiver: 1});
+      assert.deepEqual(orderAt(4, 4), {server: 1, receiver: 2});
+    });
+
+    it('starts with the side that serves first in the game', () => {
+      assert.deepEqual(createDoubles().getServeOrder({self: 0, opponent: 0}, PLAYER.OPPONENT), {server: 2, receiver: 1});
+    });
+
+    it('lets the partners hit in turns', () => {
+      const rules = createDoubles();
+      rules.startRally(PLAYER.SELF, orderAt(0, 0));
+      rules.onHit(PLAYER.SELF, behindNear, 1);
+      rules.onTableBounce(near, falling);
+      rules.onTableBounce(far, falling);
+      rules.onHit(PLAYER.OPPONENT, behindFar, 2);
+      rules.onTableBounce(near, falling);
+      rules.onHit(PLAYER.SELF, behindNear, 3);
+      rules.onTableBounce(far, falling);
+      // the receiver again instead of its partner
+      rules.onHit(PLAYER.OPPONENT, behindFar, 2);
+      assert.deepEqual(pointAt(rules), {winner: PLAYER.SELF, loser: PLAYER.OPPONENT, fault: FAULT.ORDER});
+    });
+
+    it('gives the point away for a serve of the wrong player', () => {
+      const rules = createDoubles();
+      rules.startRally(PLAYER.SELF, orderAt(0, 0));
+      rules.onHit(PLAYER.SELF, behindNear, 3);
+      assert.deepEqual(pointAt(rules), {winner: PLAYER.OPPONENT, loser: PLAYER.SELF, fault: FAULT.ORDER});
+    });
+
+    it('gives the point away for a serve from the left half', () => {
+      const rules = createDoubles();
+      rules.startRally(PLAYER.SELF, orderAt(0, 0));
+      rules.onHit(PLAYER.SELF, behindNear, 1);
+      rules.onTableBounce(Object.assign({}, near, {x: -near.x}), falling);
+      assert.deepEqual(pointAt(rules), {winner: PLAYER.OPPONENT, loser: PLAYER.SELF, fault: FAULT.SERVE});
+    });
+  });
+
+  describe('matches', () => {
+    const isMatchOver = (bestOf, self, opponent) => {
+      const rules = new Rules(Object.assign({}, config, {bestOf}), EventEmitter({}));
+      return rules.isMatchOver({self, opponent});
+    };
+
+    it('ends with the first game in a best of 1', () => {
+      assert.isFalse(isMatchOver(1, 0, 0));
+      assert.isTrue(isMatchOver(1, 1, 0));
+      assert.isTrue(isMatchOver(1, 0, 1));
+    });
+
+    it('ends once somebody won more than half of the games', () => {
+      assert.isFalse(isMatchOver(3, 1, 1));
+      assert.isTrue(isMatchOver(3, 2, 1));
+      assert.isFalse(isMatchOver(5, 2, 2));
+      assert.isTrue(isMatchOver(5, 0, 3));
+      assert.isFalse(isMatchOver(7, 3, 3));
+      assert.isTrue(isMatchOver(7, 4, 3));
+    });
+  });
+});
@@ -0,0 +1,90 @@
+/* eslint-env mocha */
+import {assert} from 'chai';
+import LoopbackTransport from '../transport/loopback';
+import Session from '../session';
+import {ACTION} from '../constants';
+import {PROTOCOL_VERSION} from '../protocol';
+
+// the loopback transport delivers after a timeout, even without latency
+const delivered = () => new Promise(resolve => {
+  setTimeout(resolve, 10);
+});
+
+const openPair = id => {
+  const host = new LoopbackTransport();
+  const guest = new LoopbackTransport();
+  host.openRoom(id, {doubles: false});
+  return guest.joinRoom(id).then(() => {
+    return {host, guest};
+  });
+};
+
+describe('Session', () => {
+  it('shakes hands between host and guest with the settings of the host', () => (
+    openPair('HAND').then(pair => {
+      const hostSession = new Session(pair.host);
+      const guestSession = new Session(pair.guest);
+      pair.host.onMessage((action, data) => {
+        if (hostSession.isNew(action, data) && action === ACTION.CONNECT) {
+          hostSession.send(ACTION.VERSION, {version: PROTOCOL_VERSION, to: data.player, settings: {gravity: 5}});
+        }
+      });
+      pair.guest.onMessage((action, data) => {
+        if (guestSession.isNew(action, data) && action === ACTION.VERSION) {
+          guestSession.receivedVersion(data);
+        }
+      });
+      return guestSession.shakeHands(pair.guest.slot);
+    }).then(settings => {
+      assert.deepEqual(settings, {gravity: 5});
+    })
+  ));
+
+  it('rejects the handshake with another version', () => (
+    openPair('VERSION').then(pair => {
+      const guestSession = new Session(pair.guest);
+      pair.host.onMessage((action, data) => {
+        pair.host.send(ACTION.VERSION, {version: PROTOCOL_VERSION + 1, to: data.player});
+      });
+      pair.guest.onMessage((action, data) => {
+        guestSession.receivedVersion(data);
+      });
+      return guestSession.shakeHands(pair.guest.slot).then(() => {
+        assert.fail('played with another version');
+      }, e => {
+        assert.equal(e, 'new version available, please reload');
+        assert.isTrue(guestSession.versionMismatch);
+      });
+    })
+  ));
+
+  it('drops duplicate and stale sequence numbers', () => (
+    openPair('SEQ').then(pair => {
+      const session = new Session(pair.guest);
+      const accepted = [];
+      pair.guest.onMessage((action, data) => {
+        if (session.isNew(action, data)) {
+          accepted.push(data.s);
+        }
+      });
+      [1, 2, 2, 1, 4, 3, 5].forEach(s => {
+        pair.host.send(ACTION.HIT, {s});
+      });
+      // moves have no number and always count
+      pair.host.send(ACTION.MOVE, {t: 0});
+      return delivered().then(() => {
+        assert.deepEqual(accepted, [1, 2, 4, 5, undefined]);
+      });
+    })
+  ));
+
+  it('counts every action on its own', () => {
+    const session = new Session(null);
+    assert.isTrue(session.isNew(ACTION.HEARTBEAT, {player: 1, s: 3}));
+    // a hit that was overtaken by a heartbeat still counts
+    assert.isTrue(session.isNew(ACTION.HIT, {player: 1, s: 2}));
+    assert.isFalse(session.isNew(ACTION.HIT, {player: 1, s: 2}));
+    // and so do the messages of somebody else
+    assert.isTrue(session.isNew(ACTION.HIT, {player: 2, s: 1}));
+  });
+});
@@ -0,0 +1,62 @@
+/* eslint-env mocha */
+import {assert} from 'chai';
+import Snapshots from '../util/snapshots';
+
+// shown 100 ms in the past, the motion goes on for 50 ms at most
+const createSnapshots = () => new Snapshots(100, 50);
+
+describe('Snapshots', () => {
+  it('has nothing to show without snapshots', () => {
+    assert.isNull(createSnapshots().sample(1000));
+  });
+
+  it('shows the only snapshot there is', () => {
+    const snapshots = createSnapshots();
+    snapshots.add(1000, [1, 2]);
+    assert.deepEqual(snapshots.sample(500), [1, 2]);
+    assert.deepEqual(snapshots.sample(2000), [1, 2]);
+  });
+
+  it('interpolates between the snapshots around the delayed time', () => {
+    const snapshots = createSnapshots();
+    snapshots.add(1000, [0, 10]);
+    snapshots.add(1100, [10, 30]);
+    assert.deepEqual(snapshots.sample(1150), [5, 20]);
+    assert.deepEqual(snapshots.sample(1200), [10, 30]);
+  });
+
+  it('stays at the first snapshot before it', () => {
+    const snapshots = createSnapshots();
+    snapshots.add(1000, [0]);
+    snapshots.add(1100, [10]);
+    assert.deepEqual(snapshots.sample(1000), [0]);
+  });
+
+  it('sorts in snapshots that came late', () => {
+    const snapshots = createSnapshots();
+    snapshots.add(1000, [0]);
+    snapshots.add(1200, [20]);
+    snapshots.add(1100, [0]);
+    assert.deepEqual(snapshots.snapshots.map(snapshot => snapshot.time), [1000, 1100, 1200]);
+    assert.deepEqual(snapshots.sample(1250), [10]);
+  });
+
+  it('continues the motion for a while after the last snapshot', () => {
+    const snapshots = createSnapshots();
+    snapshots.add(1000, [0]);
+    snapshots.add(1100, [10]);
+    assert.deepEqual(snapshots.sample(1230), [13]);
+    // and stops after the longest extrapolation
+    assert.deepEqual(snapshots.sample(1500), [15]);
+  });
+
+  it('drops old snapshots but keeps the last two', () => {
+    const snapshots = createSnapshots();
+    snapshots.add(1000, [0]);
+    snapshots.add(1500, [5]);
+    snapshots.add(2200, [12]);
+    assert.deepEqual(snapshots.snapshots.map(snapshot => snapshot.time), [1500, 2200]);
+    snapshots.add(5000, [40]);
+    assert.deepEqual(snapshots.snapshots.map(snapshot => snapshot.time), [2200, 5000]);
+  });
+});
@@ -0,0 +1,161 @@
+import {Vector3} from 'three';
+import {AI_DIFFICULTY} from './constants';
+import {mirrorPosition, mirrorVelocity} from './util/helpers';
+
+export default class AIOpponent {
+  constructor(config, physics, paddle) {
+    this.config = config;
+    this.physics = physics;
+    this.paddle = paddle;
+    this.difficulty = AI_DIFFICULTY.MEDIUM;
+
+    // the ai hits the ball when it crosses this plane behind its table end,
+    // roughly where the player holds the paddle on the other side
+    this.hitPlaneZ = config.tablePositionZ - config.tableDepth / 2 - 0.15;
+    // where the paddle waits between rallies
+    this.readyPosition = new Vector3(0, config.tableHeight + 0.24, this.hitPlaneZ);
+    // where the paddle is heading to, null if it should go back to the ready
+    // position
+    this.target = null;
+    // ms until the ai reacts to the last hit of the player
+    this.reactionTimer = 0;
+    // the shot prepared for the next hit
+    this.shot = null;
+    // the ai tossed the ball for a serve
+    this.serving = false;
+  }
+
+  setDifficulty(difficulty) {
+    this.difficulty = difficulty;
+  }
+
+  reset() {
+    this.target = null;
+    this.shot = null;
+    this.reactionTimer = 0;
+    this.serving = false;
+    this.paddle.position.copy(this.readyPosition);
+  }
+
+  startServe() {
+    // the ball is tossed from the paddle, so stay where we are
+    this.serving = true;
+    this.target = null;
+    this.shot = {
+      tilt: 0,
+      brush: this.difficulty.spin * Math.random(),
+    };
+  }
+
+  onPlayerHit() {
+    // the ai only starts thinking about the ball after its reaction time
+    this.reactionTimer = this.difficulty.reactionTime;
+  }
+
+  update(delta) {
+    if (this.reactionTimer > 0) {
+      this.reactionTimer -= delta;
+      if (this.reactionTimer <= 0) {
+        this.planShot();
+      }
+    }
+
+    // move the paddle towards the target, but not faster than the
+    // difficulty allows
+    const target = this.target || this.readyPosition;
+    const move = new Vector3().subVectors(target, this.paddle.position);
+    const maxDistance = this.difficulty.paddleSpeed * (delta / 1000);
+    if (move.length() > maxDistance) {
+      move.setLength(maxDistance);
+    }
+    this.paddle.position.add(move);
+
+    // same hit zone as for the player paddle, see animate in the scene
+    const ball = this.physics.ball;
+    if (!ball) {
+      return false;
+    }
+    const dist = new Vector3().subVectors(ball.position, this.paddle.position);
+    if (this.serving) {
+      // hit the toss on its way down
+      if (ball.velocity.y >= 0 || dist.y > 0.15) {
+        return false;
+      }
+    } else if (ball.velocity.z >= 0) {
+      return false;
+    }
+    return dist.length() < 0.4
+      && Math.abs(dist.x) < 0.2
+      && Math.abs(dist.z) < 0.1;
+  }
+
+  planShot() {
+    const interception = this.predictInterception();
+    if (!interception) {
+      // the ball won't make it over here, no need to move
+      return;
+    }
+    const error = () => (Math.random() * 2 - 1) * this.difficulty.positionError;
+    // hitting the ball off center sends it to the side, see the hitpoint in
+    // physics
+    const aim = (Math.random() * 2 - 1) * this.difficulty.aimRange * this.config.paddleSize;
+    this.shot = this.chooseShot(interception);
+    this.target = new Vector3(
+      interception.x - aim + error(),
+      interception.y + error(),
+      this.hitPlaneZ
+    );
+  }
+
+  chooseShot(interception) {
+    const isHighBall = interception.y > this.config.tableHeight + 0.35;
+    let tilt = 0;
+    if (isHighBall && Math.random() < this.difficulty.aggression) {
+      // smash high balls with a closed face
+      tilt = -this.config.maxPaddleTilt / 2;
+    } else if (Math.random() < this.difficulty.aggression / 4) {
+      // every now and then, lob it
+      tilt = this.config.maxPaddleTilt / 3;
+    }
+    return {
+      tilt,
+      brush: this.difficulty.spin * Math.random(),
+    };
+  }
+
+  predictInterception() {
+    // where the ball crosses the hit plane, null if it drops before it gets
+    // there
+    const prediction = this.physics.predictTrajectory(3000);
+    const point = prediction.points.find(p => p.position.z <= this.hitPlaneZ);
+    return point ? new Vector3().copy(point.position) : null;
+  }
+
+  hit() {
+    const ball = this.physics.ball;
+    const shot = this.shot || this.chooseShot(ball.position);
+    // the hit logic expects the paddle at the near end of the table, so
+    // mirror the ball into the ai's point of view, hit it and mirror it back
+    const tableCenter = this.config.tablePositionZ;
+    ball.position.copy(mirrorPosition(ball.position, tableCenter));
+    ball.velocity.copy(mirrorVelocity(ball.velocity));
+    ball.angularVelocity.copy(mirrorVelocity(ball.angularVelocity));
+    this.physics.onBallPaddleCollision({
+      body: ball,
+      target: {position: mirrorPosition(this.paddle.position, tableCenter)},
+    }, {
+      velocity: new Vector3(0, shot.brush, -this.difficulty.paddleSpeed),
+      normal: new Vector3(0, Math.sin(shot.tilt), -Math.cos(shot.tilt)),
+      neutralNormal: new Vector3(0, 0, -1),
+      influence: this.difficulty.swingInfluence,
+      serve: this.serving,
+    });
+    ball.position.copy(mirrorPosition(ball.position, tableCenter));
+    ball.velocity.copy(mirrorVelocity(ball.velocity));
+    ball.angularVelocity.copy(mirrorVelocity(ball.angularVelocity));
+
+    this.shot = null;
+    this.target = null;
+    this.serving = false;
+  }
+}
@@ -7,28 +7,55 @@ import bodymovin from 'bodymovin';
 import EventEmitter from 'event-emitter';
 import VR_MODES from './webvr-manager/modes';
 import * as webvrui from './webvr-ui';
-import {EVENT, MODE, STATE, CONTROLMODE} from './constants';
+import {EVENT, MODE, STATE, CONTROLMODE, AI_DIFFICULTY, MATCH_SETTINGS} from './constants';
 import Scene from './scene';
 import Util from './webvr-manager/util';
-import Communication from './communication';
+import Communication, {defaultSettings} from './communication';
+import RelayTransport from './transport/relay';
+import WebRTCTransport from './transport/webrtc';
 
 document.exitPointerLock = document.exitPointerLock || document.mozExitPointerLock;
 
 const screenTransitionDuration = 1;
 const screenTransitionInterval = 0.1;
 const screenTransitionEase = Power4.easeInOut;
+// button texts of the match settings, see MATCH_SETTINGS
+const settingLabels = {
+  bestOf: value => `Best of ${value}`,
+  POINTS_FOR_WIN: value => `${value} points`,
+  startLives: value => `${value} lives`,
+  maxSpeed: value => `Speed up to ${value}x`,
+  gravity: value => `Gravity ${value}`,
+  doubles: value => (value ? 'Doubles' : 'Singles'),
+};
 
 /* global ga */
 
+const createTransport = name => {
+  switch (name) {
+    case 'relay':
+      return new RelayTransport();
+    case 'webrtc':
+      return new WebRTCTransport();
+    default:
+      return undefined;
+  }
+};
+
 class PingPong {
   constructor() {
     this.emitter = EventEmitter({});
-    this.communication = new Communication(this.emitter);
+    // ?transport=relay plays over the websocket relay instead of deepstream,
+    // ?transport=webrtc connects the players directly
+    this.communication = new Communication(this.emitter, createTransport(Util.getQueryParameter('transport')));
     this.scene = new Scene(this.emitter, this.communication);
     this.setupDOMHandlers();
     this.setupCustomEventHandlers();
     this.introBallTween = null;
     this.activeScreen = '.intro-screen';
+    this.aiDifficulty = AI_DIFFICULTY.MEDIUM;
+    // settings of a multiplayer match, picked by the host
+    this.settings = defaultSettings();
     this.mobileDetect = new MobileDetect(window.navigator.userAgent);
 
     if (Util.isMobile() && 'orientation' in window) {
@@ -269,13 +296,28 @@ class PingPong {
         location.reload();
       }
     });
-    this.emitter.on(EVENT.OPPONENT_DISCONNECTED, () => {
+    this.emitter.on(EVENT.OPPONENT_DISCONNECTED, player => {
+      const state = this.scene.config.state;
+      if (state === STATE.PLAYING || state === STATE.PAUSED || state === STATE.COUNTDOWN) {
+        // leaving a running match gives it away, in doubles for the partner too
+        this.scene.forfeit(this.scene.getSide(player));
+        return;
+      }
+      if (this.scene.config.doubles && player !== 1) {
+        // a guest left before the match started, the next one takes its
+        // slot, see Communication.receive
+        return;
+      }
       this.scene.showOverlay();
       this.scene.hud.message.setMessage('opponent disconnected');
       this.scene.hud.message.showMessage();
       this.scene.paddleOpponent.visible = false;
       this.scene.config.state = STATE.PAUSED;
     });
+    this.emitter.on(EVENT.VERSION_MISMATCH, text => {
+      // the guest was turned away, see Communication.receive
+      $('.opponent-joined').text(text);
+    });
     this.emitter.on(EVENT.OPPONENT_PAUSED, () => {
       if (this.scene.config.state !== STATE.PLAYING) {
         return;
@@ -286,6 +328,10 @@ class PingPong {
       this.scene.showOverlay();
     });
     this.emitter.on(EVENT.OPPONENT_UNPAUSED, () => {
+      if (this.scene.connectionLost) {
+        // the game goes on once the connection is back, see Scene.resume
+        return;
+      }
       this.scene.hud.message.hideMessage();
       this.scene.config.state = STATE.PLAYING;
       this.scene.hideOverlay();
@@ -322,8 +368,12 @@ class PingPong {
   setupDOMHandlers() {
     $(document).on('visibilitychange', this.onVisibilityChange.bind(this));
     $('#start-singleplayer').on('click', this.onStartSingleplayerClick.bind(this));
+    $('#start-ai').on('click', this.onStartAIClick.bind(this));
+    $('#ai-difficulty').on('click', this.onAIDifficultyClick.bind(this));
     $('#open-room').on('click', this.onOpenRoomClick.bind(this));
+    $('.match-settings button').on('click', this.onMatchSettingClick.bind(this));
     $('#join-room').on('click', this.onJoinRoomClick.bind(this));
+    $('#quick-match').on('click', this.onQuickMatchClick.bind(this));
     $('#play-again').on('click', this.onPlayAgainClick.bind(this));
     $('.enter-vr').on('click', this.onEnterVRClick.bind(this));
     $('.about-button').on('click', this.onAboutButtonClick.bind(this));
@@ -333,7 +383,10 @@ class PingPong {
     $('button.btn').on('click', () => {this.scene.sound.playUI('button');});
     $('#reload').on('click', window.location.reload);
     $('.join-room-screen .back-arrow').on('click', () => {this.backAnimation('.choose-mode-screen');});
-    $('.open-room-screen .back-arrow').on('click', () => {this.backAnimation('.choose-mode-screen');});
+    $('.open-room-screen .back-arrow').on('click', () => {
+      this.communication.cancelQuickMatch();
+      this.backAnimation('.choose-mode-screen');
+    });
     $('.about-screen .back-arrow').on('click', () => {this.backAnimation(this.activeScreen, true);});
     $('.mute').on('click', this.scene.sound.toggleMute.bind(this.scene.sound));
     $('input').on('focus', e => {
@@ -399,6 +452,45 @@ class PingPong {
     this.viewVRChooserScreen();
   }
 
+  onStartAIClick() {
+    $('.choose-vr-mode-screen').removeClass('blue green');
+    $('.choose-vr-mode-screen').addClass('pink');
+    $('.choose-vr-mode-screen a .before, .choose-vr-mode-screen #tilt .before').addClass('pink');
+    this.scene.setAIOpponent(this.aiDifficulty);
+    this.viewVRChooserScreen();
+  }
+
+  onAIDifficultyClick() {
+    // cycle through the difficulties
+    const difficulties = Object.keys(AI_DIFFICULTY).map(key => AI_DIFFICULTY[key]);
+    const index = difficulties.indexOf(this.aiDifficulty);
+    this.aiDifficulty = difficulties[(index + 1) % difficulties.length];
+    $('#ai-difficulty').text(this.aiDifficulty.name);
+  }
+
+  onMatchSettingClick(e) {
+    // cycle through the values of a setting until the opponent joined
+    if (this.communication.isOpponentConnected) return;
+    const key = $(e.currentTarget).data('setting');
+    const values = MATCH_SETTINGS[key];
+    const index = values.indexOf(this.settings[key]);
+    this.settings[key] = values[(index + 1) % values.length];
+    $(e.currentTarget).text(settingLabels[key](this.settings[key]));
+    this.communication.setSettings(this.settings);
+    if (this.communication.GAME_ID) {
+      this.showWaitingText();
+    }
+  }
+
+  showWaitingText(searching = false) {
+    const region = this.communication.getRegion();
+    let waiting = `waiting for ${this.settings.doubles ? 'players' : 'opponent'}`;
+    if (searching) {
+      waiting = 'looking for an opponent';
+    }
+    $('.opponent-joined').text(`${waiting}${region ? ` (${region})` : ''}`);
+  }
+
   onOpenRoomClick() {
     $('.choose-vr-mode-screen').removeClass('pink green');
     $('.choose-vr-mode-screen').addClass('blue');
@@ -415,6 +507,14 @@ class PingPong {
     this.viewJoinRoomScreenAnimation();
   }
 
+  onQuickMatchClick() {
+    $('.choose-vr-mode-screen').removeClass('pink green');
+    $('.choose-vr-mode-screen').addClass('blue');
+    $('.choose-vr-mode-screen a .before, .choose-vr-mode-screen #tilt .before').addClass('blue');
+    this.scene.setMultiplayer();
+    this.viewOpenRoomScreenAnimation(true);
+  }
+
   onPlayAgainClick() {
     if (this.scene.config.mode === MODE.MULTIPLAYER) {
       $('#play-again').text('waiting for opponent to restart');
@@ -525,8 +625,12 @@ class PingPong {
   }
 
   viewVRChooserScreen() {
-    if (this.scene.config.mode === MODE.MULTIPLAYER) {
+    if (this.scene.isSpectator) {
+      ga('send', 'event', 'Mode', 'custom', 'Spectator');
+    } else if (this.scene.config.mode === MODE.MULTIPLAYER) {
       ga('send', 'event', 'Mode', 'custom', 'Multiplayer');
+    } else if (this.scene.config.mode === MODE.AI) {
+      ga('send', 'event', 'Mode', 'custom', `AI ${this.aiDifficulty.name}`);
     } else {
       ga('send', 'event', 'Mode', 'custom', 'Singleplayer');
     }
@@ -582,13 +686,29 @@ class PingPong {
           $('.input-wrapper .placeholder').show();
         }
         if ($('#room-code').val().length === 4) {
-          $('#join-room-button').removeClass('inactive');
-          $('#join-room-button').css('pointer-events', 'auto');
+          $('#join-room-button, #watch-room-button').removeClass('inactive');
+          $('#join-room-button, #watch-room-button').css('pointer-events', 'auto');
         } else {
-          $('#join-room-button').addClass('inactive');
-          $('#join-room-button').css('pointer-events', 'none');
+          $('#join-room-button, #watch-room-button').addClass('inactive');
+          $('#join-room-button, #watch-room-button').css('pointer-events', 'none');
         }
       });
+      $('#watch-room-button').on('click', () => {
+        // spectators get in even if the room is full
+        this.scene.setSpectator();
+        $('#room-form .grey-text').css('color', '#fff');
+        $('#room-form .grey-text').text('connecting to server...');
+        this.communication.watchRoom($('#room-code').val().toUpperCase()).then(settings => {
+          this.scene.applySettings(settings);
+          $('#room-form .grey-text').text('watching the game');
+          $('#room-form .btn').css('visibility', 'hidden');
+          setTimeout(() => {
+            this.viewVRChooserScreen();
+          }, 1000);
+        }).catch(err => {
+          $('#room-form .grey-text').text(err);
+        });
+      });
       $('#room-form').on('submit', () => {
         // hack to close android keyboard after submit
         $('#room-code').attr('readonly', 'readonly');
@@ -616,8 +736,11 @@ class PingPong {
           $('#room-form .grey-text').html('connecting to server...');
         }, null, null, 2);
 
-        this.communication.tryConnecting($('#room-code').val().toUpperCase()).then(() => {
-          $('#room-form .grey-text').text('game starts');
+        this.communication.tryConnecting($('#room-code').val().toUpperCase()).then(settings => {
+          this.scene.applySettings(settings);
+          $('#room-form .grey-text').text(`game starts, ${Object.keys(settingLabels).map(key => (
+            settingLabels[key](settings[key]).toLowerCase()
+          )).join(', ')}`);
           $('#room-form #join-room-button').css('visibility', 'hidden');
           TweenMax.set('.opponent-icon > *', {fill: '#fff'});
           loadingTL.kill();
@@ -660,6 +783,7 @@ class PingPong {
         '.join-room-screen .input-wrapper',
         '.join-room-screen .grey-text',
         '.join-room-screen #join-room-button',
+        '.join-room-screen #watch-room-button',
       ], 0.3, {
         y: 0,
         opacity: 1,
@@ -698,32 +822,50 @@ class PingPong {
     this.activeScreen = to;
   }
 
-  viewOpenRoomScreenAnimation() {
+  onOpponentJoined(settings) {
+    this.scene.sound.playUI('joined');
+    this.scene.applySettings(settings);
+    $('.opponent-joined').text('Opponent joined');
+    TweenMax.set('.opponent-icon > *', {fill: '#fff'});
+    $('#join-waiting-room').hide();
+    TweenMax.killTweensOf('.opponent-joined');
+    TweenMax.set('.opponent-joined', {visibility: 'visible', opacity: 1});
+    setTimeout(() => {
+      this.viewVRChooserScreen();
+    }, 1000);
+  }
+
+  viewOpenRoomScreenAnimation(quickMatch = false) {
     return new Promise(resolve => {
       this.activeScreen = '.open-room-screen';
-      this.communication.chooseClosestServer().then(() => {
-        const id = this.communication.openRoom();
+      // a quick match has no code to pass on and plays with the default settings
+      $('#generated-room-code, .open-room-screen .grey-text, .match-settings').toggle(!quickMatch);
+      this.communication.chooseClosestServer().catch(() => (
+        Promise.reject('cannot connect to server')
+      )).then(() => {
+        if (quickMatch) {
+          this.showWaitingText(true);
+          return this.communication.quickMatch().then(settings => {
+            this.onOpponentJoined(settings);
+          });
+        }
+        const id = this.communication.openRoom(this.settings);
         $('#generated-room-code').val(id);
-        $('.opponent-joined').text('waiting for opponent');
+        this.showWaitingText();
+        return null;
       }).catch(e => {
         console.warn(e);
-        $('.opponent-joined').text('cannot connect to server');
+        $('.opponent-joined').text(e);
         TweenMax.killTweensOf('.opponent-joined');
         TweenMax.set('.opponent-joined', {visibility: 'visible', opacity: 1});
       });
 
       // TODO annoying during development
-      this.emitter.on(EVENT.OPPONENT_CONNECTED, () => {
-        this.scene.sound.playUI('joined');
-        $('.opponent-joined').text('Opponent joined');
-        TweenMax.set('.opponent-icon > *', {fill: '#fff'});
-        $('#join-waiting-room').hide();
-        TweenMax.killTweensOf('.opponent-joined');
-        TweenMax.set('.opponent-joined', {visibility: 'visible', opacity: 1});
-        setTimeout(() => {
-          this.viewVRChooserScreen();
-        }, 1000);
-      });
+      if (!quickMatch) {
+        this.emitter.on(EVENT.OPPONENT_CONNECTED, () => {
+          this.onOpponentJoined(this.settings);
+        });
+      }
 
       this.scene.sound.playUI('transition');
       this.scene.sound.playLoop('waiting');
@@ -738,7 +880,7 @@ class PingPong {
         opacity: 0,
         y: 10,
       });
-      tl.set(['#generated-room-code', '.open-room-screen .grey-text'], {
+      tl.set(['#generated-room-code', '.open-room-screen .grey-text', '.match-settings'], {
         opacity: 0,
         y: 10,
       });
@@ -760,7 +902,7 @@ class PingPong {
         left: '0%',
         ease: screenTransitionEase,
       }, screenTransitionInterval, `-=${screenTransitionDuration}`);
-      tl.staggerTo(['#generated-room-code', '.open-room-screen .grey-text'], 0.3, {
+      tl.staggerTo(['#generated-room-code', '.open-room-screen .grey-text', '.match-settings'], 0.3, {
         y: 0,
         opacity: 1,
       });
@@ -0,0 +1,447 @@
+import {Vector3} from 'three';
+import EventEmitter from 'event-emitter';
+import {ACTION, EVENT, MODE, PLAYER, INITIAL_CONFIG, AI_DIFFICULTY} from './constants';
+import {SERVER_SLOT, encodeMove, decodeMove} from './protocol';
+import Physics from './physics';
+import Rules from './rules';
+import AIOpponent from './ai-opponent';
+import Session from './session';
+import {mirrorPosition, mirrorVelocity} from './util/helpers';
+
+// ms between two steps of the simulation
+const STEP_INTERVAL = 1000 / 60;
+// ms of the instructions and the countdown of the host before the first
+// serve, see Scene.countdown
+const COUNTDOWN_DURATION = 7500;
+
+const other = player => (player === PLAYER.SELF ? PLAYER.OPPONENT : PLAYER.SELF);
+
+/**
+ * A player without a screen. It joins a room as the guest and plays against
+ * the host with the paddle of the ai opponent, see bot.js in the root folder
+ * for running it with node. The table is simulated in the space of the host,
+ * the host is PLAYER.SELF at the near end and the bot plays from the far end
+ * like the ai, so everything the bot sends is mirrored and every winner and
+ * score is turned around. Singles only.
+ */
+export default class Bot {
+  constructor(transport, difficulty = AI_DIFFICULTY.MEDIUM) {
+    this.transport = transport;
+    this.transport.onMessage(this.receive.bind(this));
+    // ask the host where the game is once our connection is back, same as
+    // Communication.onTransportStatus
+    this.transport.onStatus(status => {
+      if (status === 'restored') {
+        this.requestResume();
+      }
+    });
+    // tells whoever runs the bot about EVENT.GAME_OVER and
+    // EVENT.OPPONENT_DISCONNECTED, physics and rules talk over it as well
+    this.emitter = EventEmitter({});
+    this.emitter.on(EVENT.BALL_TABLE_COLLISION, this.onBallTableCollision.bind(this));
+    this.emitter.on(EVENT.POINT, this.onPoint.bind(this));
+    this.emitter.on(EVENT.BALL_NET_COLLISION, () => {
+      this.rules.onNetHit();
+    });
+    this.config = Object.assign({}, INITIAL_CONFIG, {mode: MODE.MULTIPLAYER});
+    this.physics = new Physics(this.config, this.emitter);
+    this.physics.setupWorld();
+    this.physics.addBall();
+    this.rules = new Rules(this.config, this.emitter);
+    this.paddle = {position: new Vector3()};
+    this.ai = new AIOpponent(this.config, this.physics, this.paddle);
+    this.ai.setDifficulty(difficulty);
+    this.ai.reset();
+    // the paddle of the host as it sent it last
+    this.hostPaddle = new Vector3(0, this.config.tableHeight + 0.24, this.config.paddlePositionZ);
+    // the score as the host sees it
+    this.score = {
+      self: 0,
+      opponent: 0,
+      games: {self: 0, opponent: 0},
+      history: [],
+    };
+    // the host serves first
+    this.firstServer = PLAYER.SELF;
+    this.slot = null;
+    // sequence numbers, handshake and heartbeat, same as Communication
+    this.session = new Session(this.transport);
+    // true while a rally is going on, from the first serve to the game over
+    this.playing = false;
+    // the host paused the game, the ball stands still until it goes on
+    this.paused = false;
+    // we didn't hear from the host for a while, the ball stands still until
+    // it's back and told us where the game is, see requestResume
+    this.hostLost = false;
+    this.awaitingResume = false;
+    this.countdownTimeout = null;
+    // simulated ms since our last hit while we own the ball, see
+    // Scene.syncBall
+    this.ballAge = null;
+    this.lastBallSync = 0;
+    this.lastMoveSent = 0;
+    this.intervals = [];
+  }
+
+  join(server, id) {
+    // connect and join like Communication.joinRoom
+    return this.transport.connect(server).then(() => this.transport.joinRoom(id)).then(() => {
+      this.slot = this.transport.slot;
+      return this.session.shakeHands(this.slot).then(settings => {
+        if (settings && settings.doubles) {
+          return Promise.reject('the bot only plays singles');
+        }
+        Object.assign(this.config, settings);
+        this.physics.updateGravity();
+        return settings;
+      }).catch(e => {
+        // give back the slot, the host already counts us in
+        this.stop();
+        return Promise.reject(e);
+      });
+    }).then(() => {
+      this.intervals.push(setInterval(this.step.bind(this), STEP_INTERVAL));
+      this.session.startHeartbeat(() => {
+        this.hostLost = true;
+        if (Date.now() - this.session.lastReceived > this.config.reconnectGracePeriod) {
+          // the host is gone without saying so, leave like after DISCONNECT
+          this.close();
+          this.emitter.emit(EVENT.OPPONENT_DISCONNECTED, 1);
+        }
+      });
+      // the bot is ready as soon as it's in, the countdown starts when the
+      // host is ready too
+      this.send(ACTION.REQUEST_COUNTDOWN);
+    });
+  }
+
+  stop() {
+    this.send(ACTION.DISCONNECT);
+    this.close();
+  }
+
+  close() {
+    this.playing = false;
+    clearTimeout(this.countdownTimeout);
+    this.intervals.forEach(interval => {
+      clearInterval(interval);
+    });
+    this.intervals = [];
+    this.session.stopHeartbeat();
+    this.transport.close();
+  }
+
+  send(action, data = {}) {
+    this.session.send(action, data);
+  }
+
+  requestResume() {
+    this.awaitingResume = true;
+    this.send(ACTION.RESUME);
+  }
+
+  sendBall(outcome, isInit = false) {
+    // the ball for the next serve, same as Scene.sendBall
+    this.ballAge = 0;
+    const ball = this.physics.ball;
+    this.send(ACTION.MISS, {
+      point: mirrorPosition(ball.position, this.config.tablePositionZ),
+      velocity: mirrorVelocity(ball.velocity),
+      outcome: outcome && {winner: outcome.winner && other(outcome.winner), fault: outcome.fault},
+      isInit,
+      score: {
+        number: this.getPointNumber(),
+        self: this.score.opponent,
+        opponent: this.score.self,
+        games: {self: this.score.games.opponent, opponent: this.score.games.self},
+      },
+    });
+  }
+
+  getPointNumber() {
+    return this.score.history.reduce((sum, game) => (
+      sum + game.self + game.opponent
+    ), this.score.self + this.score.opponent);
+  }
+
+  countdown() {
+    if (this.playing || this.countdownTimeout) {
+      return;
+    }
+    // the guest puts the ball in place for the first serve, see
+    // Scene.countdown
+    this.countdownTimeout = setTimeout(() => {
+      this.countdownTimeout = null;
+      this.playing = true;
+      this.serve(this.firstServer);
+      this.sendBall(null, true);
+    }, COUNTDOWN_DURATION);
+  }
+
+  serve(server) {
+    this.ai.reset();
+    this.physics.tossBall(server === PLAYER.SELF ? this.hostPaddle : this.paddle.position);
+    this.startRally(server);
+  }
+
+  startRally(server) {
+    this.rules.startRally(server);
+    if (server === PLAYER.OPPONENT) {
+      this.ai.startServe();
+    }
+  }
+
+  step() {
+    if (!this.playing || this.paused || this.hostLost) {
+      return;
+    }
+    if (this.ai.update(STEP_INTERVAL)) {
+      this.hit();
+    }
+    this.physics.step(STEP_INTERVAL / 1000);
+    this.rules.update(this.physics.ball.position, this.physics.ball.velocity);
+    const now = Date.now();
+    if (now - this.lastMoveSent >= this.config.moveInterval) {
+      this.lastMoveSent = now;
+      this.transport.send(ACTION.MOVE, encodeMove(
+        mirrorPosition(this.paddle.position, this.config.tablePositionZ),
+        {x: 0, y: 0, z: 0},
+        now
+      ));
+    }
+    if (this.ballAge !== null) {
+      this.syncBall(now);
+    }
+  }
+
+  syncBall(now) {
+    // tell the host where our ball is while we own it
+    this.ballAge += STEP_INTERVAL;
+    if (now - this.lastBallSync < this.config.ballSyncInterval) {
+      return;
+    }
+    this.lastBallSync = now;
+    const ball = this.physics.ball;
+    this.send(ACTION.BALL, {
+      point: mirrorPosition(ball.position, this.config.tablePositionZ),
+      velocity: mirrorVelocity(ball.velocity),
+      spin: mirrorVelocity(ball.angularVelocity),
+      age: this.ballAge,
+    });
+  }
+
+  hit() {
+    this.ai.hit();
+    const ball = this.physics.ball;
+    this.rules.onHit(PLAYER.OPPONENT, ball.position);
+    this.ballAge = 0;
+    this.send(ACTION.HIT, {
+      point: mirrorPosition(ball.position, this.config.tablePositionZ),
+      velocity: mirrorVelocity(ball.velocity),
+      spin: mirrorVelocity(ball.angularVelocity),
+    });
+  }
+
+  setBall(data) {
+    // the host sends in our space, nothing to mirror
+    const ball = this.physics.ball;
+    ball.position.copy(data.point);
+    ball.velocity.copy(data.velocity);
+    if (data.spin) {
+      ball.angularVelocity.copy(data.spin);
+    } else {
+      ball.angularVelocity.set(0, 0, 0);
+    }
+    this.ballAge = null;
+  }
+
+  onBallTableCollision(body, target) {
+    // eslint-disable-next-line
+    if (target._name === 'table-2-player') {
+      this.rules.onTableBounce(body.position, body.velocity);
+    }
+  }
+
+  onPoint(point) {
+    // like the players, the bot only decides the rallies it touched last
+    if (this.rules.lastHitter !== PLAYER.OPPONENT) {
+      return;
+    }
+    if (point.winner) {
+      this.addPoint(point.winner);
+    }
+    if (this.rules.isGameOver(this.score)) {
+      this.endGame(true);
+    } else {
+      this.serve(this.rules.getServer(this.score, this.firstServer));
+    }
+    this.sendBall({winner: point.winner, fault: point.fault});
+  }
+
+  addPoint(winner) {
+    if (winner === PLAYER.SELF) {
+      this.score.self += 1;
+    } else {
+      this.score.opponent += 1;
+    }
+  }
+
+  endGame(decided) {
+    this.score.history.push({self: this.score.self, opponent: this.score.opponent});
+    if (this.score.self > this.score.opponent) {
+      this.score.games.self += 1;
+    } else {
+      this.score.games.opponent += 1;
+    }
+    this.rules.stop();
+    if (this.rules.isMatchOver(this.score.games)) {
+      this.playing = false;
+      this.emitter.emit(EVENT.GAME_OVER, this.score);
+      return;
+    }
+    this.firstServer = other(this.firstServer);
+    this.score.self = 0;
+    this.score.opponent = 0;
+    if (!decided) {
+      return;
+    }
+    setTimeout(() => {
+      this.serve(this.firstServer);
+      this.sendBall({winner: null, fault: null});
+    }, this.config.changeEndsDuration);
+  }
+
+  onReceivedHit(data) {
+    this.setBall(data);
+    this.rules.onHit(PLAYER.SELF, data.point);
+    this.ai.onPlayerHit();
+  }
+
+  onReceivedMiss(data) {
+    this.physics.speed = 1;
+    if (data.outcome && data.outcome.winner) {
+      this.addPoint(data.outcome.winner);
+    }
+    if (this.rules.isGameOver(this.score)) {
+      this.endGame(false);
+    } else {
+      this.setBall(data);
+      this.playing = true;
+      this.startRally(this.rules.getServer(this.score, this.firstServer));
+    }
+    if (data.score) {
+      // the host counts from the same end of the table as our simulation
+      const score = data.score;
+      this.send(ACTION.POINT_ACK, {
+        number: score.number,
+        agreed: score.number === this.getPointNumber()
+          && score.self === this.score.self
+          && score.opponent === this.score.opponent
+          && score.games.self === this.score.games.self
+          && score.games.opponent === this.score.games.opponent,
+      });
+    }
+  }
+
+  onReceivedResumeState(data) {
+    // the host has the say after either of us was gone. it sees the game
+    // from the same end of the table as our simulation, nothing to turn
+    // around
+    this.awaitingResume = false;
+    Object.assign(this.score, {
+      self: data.score.self,
+      opponent: data.score.opponent,
+      games: Object.assign({}, data.games),
+      history: data.history.slice(),
+    });
+    this.firstServer = data.firstServer;
+    this.rules.setState(data.rules, false);
+    if (data.ball) {
+      this.setBall({point: data.ball.position, velocity: data.ball.velocity, spin: data.ball.spin});
+    }
+  }
+
+  onReceivedScore(data) {
+    // the host has the say if we count differently
+    this.score.self = data.self;
+    this.score.opponent = data.opponent;
+    this.score.games = Object.assign({}, data.games);
+    this.score.history = data.history.slice();
+  }
+
+  receive(action, data) {
+    if (!this.session.isNew(action, data)) {
+      return;
+    }
+    if (data.player === SERVER_SLOT) {
+      // the bot doesn't correct its ball, it only follows the hits
+      return;
+    }
+    this.session.heard();
+    if (this.hostLost) {
+      // the host is back, ask it where the game is like a guest does, see
+      // Communication.receive
+      this.hostLost = false;
+      if (!this.awaitingResume) {
+        this.requestResume();
+      }
+    }
+    switch (action) {
+      case ACTION.MOVE:
+        this.hostPaddle.copy(decodeMove(data).position);
+        break;
+      case ACTION.HIT:
+        this.onReceivedHit(data);
+        break;
+      case ACTION.MISS:
+        this.onReceivedMiss(data);
+        break;
+      case ACTION.SCORE:
+        this.onReceivedScore(data);
+        break;
+      case ACTION.PING:
+        this.transport.send(ACTION.PONG, {index: data.index, to: data.player, time: Date.now()});
+        break;
+      case ACTION.VERSION:
+        this.session.receivedVersion(data);
+        break;
+      case ACTION.PAUSE:
+        this.paused = true;
+        break;
+      case ACTION.UNPAUSE:
+        this.paused = false;
+        break;
+      case ACTION.REQUEST_COUNTDOWN:
+        this.countdown();
+        break;
+      case ACTION.RESTART_GAME:
+        // play again whenever the host wants to
+        this.score = {
+          self: 0,
+          opponent: 0,
+          games: {self: 0, opponent: 0},
+          history: [],
+        };
+        this.firstServer = PLAYER.SELF;
+        this.send(ACTION.RESTART_GAME);
+        this.countdown();
+        break;
+      case ACTION.RESUME:
+        // the host lost its connection and asks where the game is, it has
+        // the say, see Communication.receive
+        if (!this.awaitingResume) {
+          this.requestResume();
+        }
+        break;
+      case ACTION.RESUME_STATE:
+        this.onReceivedResumeState(data);
+        break;
+      case ACTION.DISCONNECT:
+        this.close();
+        this.emitter.emit(EVENT.OPPONENT_DISCONNECTED, data.player);
+        break;
+      default:
+        // everything else only matters to people
+    }
+  }
+}
@@ -1,58 +1,98 @@
-import deepstream from 'deepstream.io-client-js/dist/deepstream';
 import $ from 'zepto-modules';
 import chunk from 'lodash.chunk';
 import randomstring from 'randomstring';
-import {ACTION, EVENT} from './constants';
+import {ACTION, EVENT, PLAYER, MATCH_SETTINGS} from './constants';
+import {PROTOCOL_VERSION, SERVER_SLOT, encodeMove, decodeMove} from './protocol';
+import Session, {versionMismatch} from './session';
+import Clock from './util/clock';
+import Util from './webvr-manager/util';
 import {rand} from './util/helpers';
+import DeepstreamTransport from './transport/deepstream';
 
 const availableChars = '23456789QWERTZUPASDFGHJKLYXCVBNM';
+// ms between pings, and after which a ping without answer is forgotten
+const PING_INTERVAL = 2000;
+const PING_TIMEOUT = 10000;
+// ms a quick match host waits for its opponent before it looks for another one
+const QUICK_MATCH_JOIN_TIMEOUT = 5000;
 
+export const defaultSettings = () => {
+  const settings = {};
+  Object.keys(MATCH_SETTINGS).forEach(key => {
+    settings[key] = MATCH_SETTINGS[key][0];
+  });
+  return settings;
+};
+
+// servers from ?servers=url|region,url|region
+const parseServers = param => param.split(',').map(entry => {
+  const [url, region] = entry.split('|');
+  return {url, region};
+});
+
+// why this client can't play with the settings the host chose, null if it can
+const checkSettings = settings => {
+  const unsupported = Object.keys(settings).filter(key => (
+    !MATCH_SETTINGS[key] || MATCH_SETTINGS[key].indexOf(settings[key]) === -1
+  ));
+  if (unsupported.length === 0) {
+    return null;
+  }
+  return `unsupported settings: ${unsupported.map(key => `${key} ${settings[key]}`).join(', ')}`;
+};
+
+/**
+ * Everything the two players of a multiplayer game tell each other. The
+ * messages are carried by a transport, deepstream by default, see the
+ * transport folder for the others.
+ */
 export default class Communication {
-  constructor(emitter) {
+  constructor(emitter, transport = new DeepstreamTransport()) {
     this.emitter = emitter;
+    this.transport = transport;
+    this.transport.onMessage(this.receive.bind(this));
+    this.transport.onStatus(this.onTransportStatus.bind(this));
     this.callbacks = {};
-    this.latency = 100;
     this.isHost = undefined;
+    // 1 for the host, the guests get the next free slot when joining. in
+    // doubles the odd and the even slots play together
+    this.slot = null;
+    // the settings of the room and the slots of the guests the host already
+    // heard from
+    this.settings = null;
+    this.connectedPlayers = [];
+    // sequence numbers, handshake and heartbeat, see protocol.js
+    this.session = new Session(this.transport);
+    // spectators follow a room without playing, see watchRoom
+    this.isSpectator = false;
     this.pingNumber = 0;
     this.pingInterval = null;
     this.isOpponentConnected = false;
-    this.availableServers = [
-      'wss://konter-eu-1.madebywild.com:6020',
-      'wss://konter-eu-2.madebywild.com:6020',
-      'wss://konter-us-1.madebywild.com:6020',
-      'wss://konter-us-2.madebywild.com:6020',
-    ];
-    // chunk available characters into n parts where n is the number of servers
-    this.availablePrefixes = chunk(
-      availableChars,
-      Math.floor(availableChars.length / this.availableServers.length)
-    );
-
-    // will store the timestamps of the pings
+    // our own connection is down
+    this.connectionLost = false;
+    // we don't hear from the opponent anymore
+    this.opponentLost = false;
+    // we asked for the state of the game after coming back
+    this.awaitingResume = false;
+    // we wait in the quick match queue or for the opponent it found us
+    this.searching = false;
+    this.searchTimeout = null;
+    // {url, region} of every server, see loadServers
+    this.availableServers = [];
+    this.availablePrefixes = [];
+    this.serversLoaded = null;
+
+    // when we sent the pings by their index
     this.pings = {};
-    // will store the roundtriptimes in ms
-    this.roundTripTimes = [];
+    // the latency and clock offset to every other player, see getClock
+    this.clocks = {};
 
     $(window).on('beforeunload', () => {
       if (this.isOpponentConnected) {
         // tell opponent we disconnected
-        this.statusRecord.set(`player-${this.isHost ? 1 : 2}`, {action: ACTION.DISCONNECT});
-      }
-      if (this.statusRecord) {
-        // delete all records
-        this.statusRecord.discard();
-        this.statusRecord.delete();
-        this.paddle1Record.discard();
-        this.paddle1Record.delete();
-        this.paddle2Record.discard();
-        this.paddle2Record.delete();
-        this.hitRecord.discard();
-        this.hitRecord.delete();
-        this.missRecord.discard();
-        this.missRecord.delete();
-        this.pingRecord.discard();
-        this.pingRecord.delete();
+        this.send(ACTION.DISCONNECT);
       }
+      this.transport.close();
     });
   }
 
@@ -60,82 +100,85 @@ export default class Communication {
     this.callbacks = callbacks;
   }
 
-  pingServer(hostIndex) {
-    return new Promise(resolve => {
-      const client = deepstream(this.availableServers[hostIndex]);
-      const timeout = setTimeout(() => {
-        client.close();
-        resolve('timeout');
-      }, 3000);
-      client.on('error', () => {
-        // in case a server is down it will throw an error
-        // ignore these and use timeout for determining that
-      });
-      client.on('connectionStateChanged', e => {
-        if (e !== deepstream.CONSTANTS.CONNECTION_STATE.ERROR
-            && e !== deepstream.CONSTANTS.CONNECTION_STATE.CLOSED
-            && e !== deepstream.CONSTANTS.CONNECTION_STATE.RECONNECTING) {
-          // we're in
-          clearTimeout(timeout);
-          client.close();
-          resolve(hostIndex);
-        }
-      });
+  loadServers() {
+    // the servers are taken from ?servers= or from the servers.json that
+    // deepstream.js serves, transports that bring their own servers don't
+    // need either. both players need the same list in the same order, the
+    // room codes depend on it
+    if (this.serversLoaded) {
+      return this.serversLoaded;
+    }
+    this.serversLoaded = new Promise((resolve, reject) => {
+      if (this.transport.servers) {
+        resolve(this.transport.servers.map(url => {
+          return {url};
+        }));
+      } else if (Util.getQueryParameter('servers')) {
+        resolve(parseServers(Util.getQueryParameter('servers')));
+      } else {
+        $.ajax({
+          url: '/servers.json',
+          dataType: 'json',
+          success: servers => {
+            resolve(servers.map(server => (typeof server === 'string' ? {url: server} : server)));
+          },
+          error: () => {
+            this.serversLoaded = null;
+            reject('cannot load server list');
+          },
+        });
+      }
+    }).then(servers => {
+      this.availableServers = servers;
+      // chunk available characters into n parts where n is the number of
+      // servers, every room code starts with a character of its server
+      this.availablePrefixes = chunk(
+        availableChars,
+        Math.ceil(availableChars.length / servers.length)
+      );
+      return servers;
     });
+    return this.serversLoaded;
+  }
+
+  getRegion() {
+    // region label of the server we are connected to, if it has one
+    const server = this.availableServers[this.chosenServer];
+    return (server && server.region) || '';
+  }
+
+  probeServers() {
+    // index of the server that answers first, 'timeout' if none does
+    return Promise.race(this.availableServers.map((server, index) => (
+      this.transport.probe(server.url).then(reachable => (reachable ? index : 'timeout'))
+    )));
   }
 
   chooseClosestServer() {
     // try connecting to every available server, choose the one that answers first
     return new Promise((resolve, reject) => {
-      Promise.race(this.availableServers.map((server, index) => this.pingServer(index))).then(fastestServer => {
+      this.loadServers().then(this.probeServers.bind(this)).then(fastestServer => {
         if (fastestServer === 'timeout') {
-          reject(fastestServer);
-          return;
+          return Promise.reject(fastestServer);
         }
         this.chosenServer = fastestServer;
-        // eslint-disable-next-line
-        return this.connectToServer(this.availableServers[fastestServer]);
+        return this.transport.connect(this.availableServers[fastestServer].url);
       }).then(() => {
         resolve();
-      }).catch(e => {
+      }, e => {
         console.warn(`error:  ${e}`);
         reject(e);
       });
     });
   }
 
-  connectToServer(host) {
-    // connect to the deepstream server
-    return new Promise((resolve, reject) => {
-      setTimeout(() => {
-        reject('timeout');
-      }, 2000);
-      this.client = deepstream(host, {
-        mergeStrategy: deepstream.MERGE_STRATEGIES.REMOTE_WINS,
-      });
-      this.client.login();
-      this.client.on('error', e => {
-        reject(e);
-      });
-      this.client.on('connectionStateChanged', e => {
-        if (e === deepstream.CONSTANTS.CONNECTION_STATE.OPEN) {
-          resolve();
-        }
-        if (e === deepstream.CONSTANTS.CONNECTION_STATE.ERROR) {
-          reject('error');
-        }
-      });
-    });
-  }
-
-  tryConnecting(id) {
-    // try to connect to a given room id. the first character is a code for
-    // which server the opponent is connected to. in case of 2 servers, the
-    // first half of the available characters is reserved for the first server,
-    // the second half is reserved for the second server. this way we can still
-    // have as many random combinations with 4 letters.
-    this.isHost = false;
-    return new Promise((resolve, reject) => {
+  connectToRoomServer(id) {
+    // the first character of a room id is a code for which server the room
+    // is on. in case of 2 servers, the first half of the available characters
+    // is reserved for the first server, the second half is reserved for the
+    // second server. this way we can still have as many random combinations
+    // with 4 letters.
+    return this.loadServers().then(() => {
       let serverIndex = -1;
       this.availablePrefixes.forEach((prefixes, index) => {
         if (prefixes.indexOf(id[0]) !== -1) {
@@ -144,193 +187,464 @@ export default class Communication {
       });
       if (serverIndex === -1) {
         // impossible room code, there is no prefix like that
-        reject('no room found');
+        return Promise.reject('no room found');
       }
-      this.connectToServer(this.availableServers[serverIndex]).then(() => {
-        this.GAME_ID = id;
-        this.isHost = false;
-        this.setRecords();
-        this.statusRecord.subscribe('room-is-open', value => {
-          if (value) {
-            this.startListening();
-            this.statusRecord.set('player-2', {action: ACTION.CONNECT});
-            this.isOpponentConnected = true;
-            setTimeout(this.sendPings.bind(this), 1000);
-            resolve();
-          } else {
-            reject('room already full');
+      this.chosenServer = serverIndex;
+      this.GAME_ID = id;
+      return this.transport.connect(this.availableServers[serverIndex].url);
+    });
+  }
+
+  tryConnecting(id) {
+    // try to connect to a given room id
+    return this.connectToRoomServer(id).then(() => this.joinRoom(id));
+  }
+
+  joinRoom(id) {
+    this.isHost = false;
+    this.GAME_ID = id;
+    let joined = false;
+    return this.transport.joinRoom(id).then(() => {
+      joined = true;
+      this.slot = this.transport.slot;
+      this.session.reset();
+      return this.session.shakeHands(this.slot);
+    }).then(hostSettings => {
+      // the host answers with the settings of the match, they may have
+      // changed since we found the room
+      const settings = Object.assign(defaultSettings(), hostSettings);
+      const error = checkSettings(settings);
+      if (error) {
+        return Promise.reject(error);
+      }
+      this.settings = settings;
+      this.isOpponentConnected = true;
+      setTimeout(this.sendPings.bind(this), 1000);
+      this.startHeartbeat();
+      return this.settings;
+    }).catch(e => {
+      if (joined) {
+        // give back the slot, the host already counts us in
+        this.send(ACTION.DISCONNECT);
+        this.transport.leaveRoom();
+      }
+      return Promise.reject(e);
+    });
+  }
+
+  quickMatch() {
+    // wait in the queue of the chosen server until somebody else wants to
+    // play, see findMatch of the transports. quick matches are played with
+    // the default settings, resolves with them once both players are in
+    this.searching = true;
+    return this.transport.findMatch(this.generateRoomId()).then(match => {
+      if (!this.searching) {
+        return new Promise(() => {});
+      }
+      if (!match.isHost) {
+        // the room is gone if the host cancelled in the meantime
+        return this.joinRoom(match.room).then(settings => {
+          this.searching = false;
+          return settings;
+        }, e => {
+          if (this.session.versionMismatch) {
+            return Promise.reject(e);
           }
+          return this.searching ? this.quickMatch() : new Promise(() => {});
         });
-        setTimeout(() => {
-          reject('no room found');
-        }, 2000);
+      }
+      this.openRoom(defaultSettings(), match.room);
+      return new Promise(resolve => {
+        const connected = () => {
+          if (!this.searching) {
+            return;
+          }
+          clearTimeout(this.searchTimeout);
+          this.searching = false;
+          resolve(this.settings);
+        };
+        this.emitter.once(EVENT.OPPONENT_CONNECTED, connected);
+        this.searchTimeout = setTimeout(() => {
+          if (this.isOpponentConnected) {
+            return;
+          }
+          // the guest cancelled in the meantime, find somebody else
+          this.emitter.off(EVENT.OPPONENT_CONNECTED, connected);
+          this.transport.leaveRoom();
+          this.GAME_ID = null;
+          resolve(this.quickMatch());
+        }, QUICK_MATCH_JOIN_TIMEOUT);
+      });
+    });
+  }
+
+  cancelQuickMatch() {
+    if (!this.searching) {
+      return;
+    }
+    this.searching = false;
+    clearTimeout(this.searchTimeout);
+    this.transport.cancelMatch();
+    if (this.isHost && this.GAME_ID) {
+      this.transport.leaveRoom();
+      this.GAME_ID = null;
+    }
+  }
+
+  watchRoom(id) {
+    // spectators can join any room, however full, the players don't notice
+    // them. they get the messages of both players, see receiveAsSpectator
+    this.isHost = false;
+    this.isSpectator = true;
+    this.session.reset();
+    return new Promise((resolve, reject) => {
+      this.connectToRoomServer(id).then(() => (
+        this.transport.watchRoom(id)
+      )).then(hostSettings => {
+        resolve(Object.assign(defaultSettings(), hostSettings));
       }).catch(e => {
         reject(e);
       });
     });
   }
 
-  openRoom() {
-    this.isHost = true;
+  generateRoomId() {
     // pick a random prefix which belongs to the available prefixes for this server
     const prefix = this.availablePrefixes[this.chosenServer][rand(0, this.availablePrefixes[this.chosenServer].length)];
-    this.GAME_ID = prefix + randomstring.generate({
+    return prefix + randomstring.generate({
       length: 3,
       charset: availableChars,
     });
-    this.setRecords();
-    this.statusRecord.set('room-is-open', true);
-    this.startListening();
+  }
+
+  openRoom(settings = defaultSettings(), id = this.generateRoomId()) {
+    this.isHost = true;
+    this.slot = 1;
+    this.settings = settings;
+    this.GAME_ID = id;
+    this.session.reset();
+    this.transport.openRoom(this.GAME_ID, settings);
     return this.GAME_ID;
   }
 
-  setRecords() {
-    this.statusRecord = this.client.record.getRecord(`${this.GAME_ID}-status`);
-    this.paddle1Record = this.client.record.getRecord(`${this.GAME_ID}-paddle1`);
-    this.paddle2Record = this.client.record.getRecord(`${this.GAME_ID}-paddle2`);
-    this.hitRecord = this.client.record.getRecord(`${this.GAME_ID}-hit`);
-    this.missRecord = this.client.record.getRecord(`${this.GAME_ID}-miss`);
-    this.pingRecord = this.client.record.getRecord(`${this.GAME_ID}-ping`);
+  setSettings(settings) {
+    // the host can change the settings until the opponent joined
+    if (this.GAME_ID && this.isHost) {
+      this.settings = settings;
+      this.transport.updateSettings(settings);
+    }
   }
 
   sendPings() {
+    // keep pinging for the whole match, everybody answers with its clock
+    clearInterval(this.pingInterval);
     this.pingInterval = setInterval(() => {
-      this.pings[this.pingNumber] = Date.now();
-      this.pingRecord.set(`player-${this.isHost ? 1 : 2}-ping-${this.pingNumber}`, {
-        index: this.pingNumber,
-        ping: true,
+      const now = Date.now();
+      Object.keys(this.pings).forEach(index => {
+        if (now - this.pings[index] > PING_TIMEOUT) {
+          delete this.pings[index];
+        }
       });
+      this.pings[this.pingNumber] = now;
+      this.transport.send(ACTION.PING, {index: this.pingNumber});
       this.pingNumber += 1;
-      if (this.pingNumber >= 20) {
-        clearInterval(this.pingInterval);
-      }
-    }, 1000);
+    }, PING_INTERVAL);
   }
 
   receivedPong(data) {
-    const rtt = Date.now() - this.pings[data.index];
-    this.roundTripTimes.push(rtt);
-    this.roundTripTimes.sort((a, b) => a - b);
-    // get median of all received roundtrips, divide by 2 to get the one-way-latency
-    this.latency = this.roundTripTimes[Math.floor(this.roundTripTimes.length / 2)] / 2;
-  }
-
-  startListening() {
-    this.statusRecord.subscribe(`player-${this.isHost ? 2 : 1}`, value => {
-      switch (value.action) {
-        case ACTION.CONNECT:
-          setTimeout(this.sendPings.bind(this), 1000);
-          this.statusRecord.set('room-is-open', false);
-          this.isOpponentConnected = true;
-          this.emitter.emit(EVENT.OPPONENT_CONNECTED);
-          break;
-        case ACTION.DISCONNECT:
-          this.isOpponentConnected = false;
-          this.emitter.emit(EVENT.OPPONENT_DISCONNECTED);
+    if (data.to && data.to !== this.slot) {
+      // somebody else's ping in doubles
+      return;
+    }
+    if (!this.pings[data.index]) {
+      return;
+    }
+    this.getClock(data.player).addSample(this.pings[data.index], data.time, Date.now());
+  }
+
+  getClock(player) {
+    if (!this.clocks[player]) {
+      this.clocks[player] = new Clock();
+    }
+    return this.clocks[player];
+  }
+
+  getLatency(player = null) {
+    // one way latency in ms to the player, or to the slowest one
+    if (player) {
+      return this.getClock(player).latency;
+    }
+    const clocks = Object.keys(this.clocks).map(slot => this.clocks[slot]);
+    return clocks.length ? Math.max(...clocks.map(clock => clock.latency)) : new Clock().latency;
+  }
+
+  getJitter(player) {
+    return this.clocks[player] ? this.clocks[player].jitter : 0;
+  }
+
+  toLocalTime(player, time) {
+    // a time of another player on our clock
+    const clock = this.getClock(player);
+    clock.addArrival(time, Date.now());
+    return clock.toLocalTime(time);
+  }
+
+  startHeartbeat() {
+    this.session.startHeartbeat(() => {
+      if (!this.opponentLost && !this.connectionLost) {
+        this.opponentLost = true;
+        this.emitter.emit(EVENT.CONNECTION_LOST, PLAYER.OPPONENT);
+      }
+    });
+  }
+
+  onTransportStatus(status) {
+    if (!this.isOpponentConnected) {
+      return;
+    }
+    if (status === 'lost') {
+      this.connectionLost = true;
+      this.emitter.emit(EVENT.CONNECTION_LOST, PLAYER.SELF);
+    } else {
+      this.connectionLost = false;
+      this.requestResume();
+    }
+  }
+
+  requestResume() {
+    this.awaitingResume = true;
+    this.send(ACTION.RESUME);
+  }
+
+  receiveAsSpectator(action, data) {
+    // data has the player the message came from, 1 is the host
+    switch (action) {
+      case ACTION.MOVE:
+        this.callbacks.receivedMove(decodeMove(data));
+        break;
+      case ACTION.HIT:
+        this.callbacks.receivedHit(data);
+        break;
+      case ACTION.MISS:
+        this.callbacks.receivedMiss(data);
+        break;
+      case ACTION.BALL:
+        this.callbacks.receivedBallState(data);
+        break;
+      case ACTION.DISCONNECT:
+        this.callbacks.receivedPlayerLeft(data.player);
+        break;
+      case ACTION.PAUSE:
+        this.callbacks.receivedPlayerPaused(data.player);
+        break;
+      case ACTION.UNPAUSE:
+        this.callbacks.receivedPlayerUnpaused(data.player);
+        break;
+      case ACTION.SCORE:
+        this.callbacks.receivedScore(data);
+        break;
+      default:
+        // everything else is between the players
+    }
+  }
+
+  receive(action, data) {
+    if (!this.session.isNew(action, data)) {
+      // we had this one already
+      return;
+    }
+    if (data.player === SERVER_SLOT) {
+      // the server tells where the ball is and the score if somebody counts
+      // differently, it doesn't count as hearing from the other players
+      if (action === ACTION.BALL) {
+        this.callbacks.receivedBallState(data);
+      } else if (action === ACTION.SCORE) {
+        this.callbacks.receivedScore(data);
+      }
+      return;
+    }
+    if (this.isSpectator) {
+      this.receiveAsSpectator(action, data);
+      return;
+    }
+    this.session.heard();
+    if (this.opponentLost) {
+      // the opponent is back. if nobody noticed losing their own connection
+      // the guest asks the host for the state of the game
+      this.opponentLost = false;
+      if (!this.isHost && !this.awaitingResume) {
+        this.requestResume();
+      }
+    }
+    switch (action) {
+      case ACTION.MOVE:
+        this.callbacks.receivedMove(decodeMove(data));
+        break;
+      case ACTION.HIT:
+        this.callbacks.receivedHit(data);
+        break;
+      case ACTION.MISS:
+        this.callbacks.receivedMiss(data);
+        break;
+      case ACTION.BALL:
+        this.callbacks.receivedBallState(data);
+        break;
+      case ACTION.POINT_ACK:
+        this.callbacks.receivedPointAck(data);
+        break;
+      case ACTION.SCORE:
+        this.callbacks.receivedScore(data);
+        break;
+      case ACTION.PING:
+        this.transport.send(ACTION.PONG, {index: data.index, to: data.player, time: Date.now()});
+        break;
+      case ACTION.PONG:
+        this.receivedPong(data);
+        break;
+      case ACTION.CONNECT:
+        if (!this.isHost || this.connectedPlayers.indexOf(data.player) !== -1) {
+          // in doubles the guests hear each other join, only the host cares
           break;
-        case ACTION.PAUSE:
-          if (this.isOpponentConnected) {
-            this.emitter.emit(EVENT.OPPONENT_PAUSED);
-          }
+        }
+        this.send(ACTION.VERSION, {version: PROTOCOL_VERSION, to: data.player, settings: this.settings});
+        if (data.version !== PROTOCOL_VERSION) {
+          this.emitter.emit(EVENT.VERSION_MISMATCH, versionMismatch(data.version));
           break;
-        case ACTION.UNPAUSE:
-          if (this.isOpponentConnected) {
-            this.emitter.emit(EVENT.OPPONENT_UNPAUSED);
-          }
+        }
+        this.connectedPlayers.push(data.player);
+        if (this.connectedPlayers.length === 1) {
+          this.isOpponentConnected = true;
+          this.startHeartbeat();
+        }
+        if (this.isWaitingForPlayers()) {
+          // wait for the rest of the players
           break;
-        case ACTION.REQUEST_COUNTDOWN:
-          this.callbacks.receivedRequestCountdown();
+        }
+        setTimeout(this.sendPings.bind(this), 1000);
+        this.transport.closeRoom();
+        this.emitter.emit(EVENT.OPPONENT_CONNECTED);
+        break;
+      case ACTION.VERSION:
+        this.session.receivedVersion(data);
+        break;
+      case ACTION.HEARTBEAT:
+        break;
+      case ACTION.RESUME:
+        if (this.awaitingResume && !this.isHost) {
+          // both of us were gone, the host has the say
           break;
-        case ACTION.RESTART_GAME:
-          this.callbacks.receivedRestartGame();
+        }
+        this.awaitingResume = false;
+        this.send(ACTION.RESUME_STATE, this.callbacks.receivedResume());
+        break;
+      case ACTION.RESUME_STATE:
+        this.awaitingResume = false;
+        this.callbacks.receivedResumeState(data);
+        break;
+      case ACTION.DISCONNECT:
+        // whoever joins next takes the slot, see room-leave in deepstream.js
+        this.session.forget(data.player);
+        if (this.isHost && this.isWaitingForPlayers()) {
+          // a guest of a doubles room left before everybody was in, the
+          // room stays open for somebody else
+          this.connectedPlayers = this.connectedPlayers.filter(player => player !== data.player);
+          if (!this.connectedPlayers.length) {
+            this.isOpponentConnected = false;
+            this.session.stopHeartbeat();
+          }
           break;
-        default:
-          console.warn('unknown action');
-      }
-    });
-    if (this.isHost) {
-      this.paddle2Record.subscribe('position', value => {
-        this.callbacks.receivedMove(value);
-      });
-    } else {
-      this.paddle1Record.subscribe('position', value => {
-        this.callbacks.receivedMove(value);
-      });
-    }
-    this.hitRecord.subscribe(`player-${this.isHost ? 2 : 1}`, value => {
-      this.callbacks.receivedHit(value);
-    });
-    this.missRecord.subscribe(`player-${this.isHost ? 2 : 1}`, value => {
-      this.callbacks.receivedMiss(value);
-    });
-    for (let i = 0; i < 20; i += 1) {
-      // make 20 ping records so the pings don't get mixed up
-      this.pingRecord.subscribe(`player-${this.isHost ? 2 : 1}-ping-${i}`, value => {
-        if (value.ping) {
-          this.pingRecord.set(`player-${this.isHost ? 1 : 2}-ping-${value.index}`, {
-            index: value.index,
-            pong: true,
-          });
-        } else {
-          this.receivedPong(value);
         }
-      });
+        this.isOpponentConnected = false;
+        this.session.stopHeartbeat();
+        this.emitter.emit(EVENT.OPPONENT_DISCONNECTED, data.player);
+        break;
+      case ACTION.PAUSE:
+        if (this.isOpponentConnected) {
+          this.emitter.emit(EVENT.OPPONENT_PAUSED);
+        }
+        break;
+      case ACTION.UNPAUSE:
+        if (this.isOpponentConnected) {
+          this.emitter.emit(EVENT.OPPONENT_UNPAUSED);
+        }
+        break;
+      case ACTION.REQUEST_COUNTDOWN:
+        this.callbacks.receivedRequestCountdown(data.player);
+        break;
+      case ACTION.RESTART_GAME:
+        this.callbacks.receivedRestartGame(data.player);
+        break;
+      default:
+        console.warn('unknown action');
     }
   }
 
+  send(action, data = {}) {
+    this.session.send(action, data);
+  }
+
+  isWaitingForPlayers() {
+    // the host waits until every guest is in, one in singles and three in
+    // doubles
+    return this.connectedPlayers.length < (this.settings.doubles ? 3 : 1);
+  }
+
   sendMove(position, rotation) {
-    if (this.isHost) {
-      this.paddle1Record.set('position', {position, rotation});
-    } else {
-      this.paddle2Record.set('position', {position, rotation});
-    }
+    // moves are sent all the time, a lost or late one doesn't matter
+    this.transport.send(ACTION.MOVE, encodeMove(position, rotation, Date.now()));
   }
 
-  sendHit(point, velocity) {
-    // insert timestamp so the record is actually updated
-    // in case we reset it twice with the same values
-    this.hitRecord.set(`player-${this.isHost ? 1 : 2}`, {
+  sendHit(point, velocity, spin) {
+    this.send(ACTION.HIT, {
       point,
       velocity,
-      t: Date.now(),
+      spin,
     });
   }
 
-  sendMiss(point, velocity, ballHasHitEnemyTable, isInit = false) {
-    this.missRecord.set(`player-${this.isHost ? 1 : 2}`, {
+  sendMiss(point, velocity, outcome, isInit = false, score = null) {
+    // outcome is the winner and fault of the rally, see rules.js. the score
+    // after the rally with the number of the point, the other players check
+    // that they count the same, see Scene.checkScore
+    this.send(ACTION.MISS, {
       point,
       velocity,
-      ballHasHitEnemyTable,
+      outcome,
       isInit,
-      t: Date.now(),
+      score,
     });
   }
 
-  sendRestartGame() {
-    this.statusRecord.set(`player-${this.isHost ? 1 : 2}`, {
-      action: ACTION.RESTART_GAME,
-      t: Date.now(),
+  sendBallState(point, velocity, spin, age) {
+    this.send(ACTION.BALL, {
+      point,
+      velocity,
+      spin,
+      age,
     });
   }
 
+  sendPointAck(number, agreed) {
+    this.send(ACTION.POINT_ACK, {number, agreed});
+  }
+
+  sendScore(score) {
+    this.send(ACTION.SCORE, score);
+  }
+
+  sendRestartGame() {
+    this.send(ACTION.RESTART_GAME);
+  }
+
   sendRequestCountdown() {
-    this.statusRecord.set(`player-${this.isHost ? 1 : 2}`, {
-      action: ACTION.REQUEST_COUNTDOWN,
-      t: Date.now(),
-    });
+    this.send(ACTION.REQUEST_COUNTDOWN);
   }
 
   sendPause() {
-    this.statusRecord.set(`player-${this.isHost ? 1 : 2}`, {
-      action: ACTION.PAUSE,
-      t: Date.now(),
-    });
+    this.send(ACTION.PAUSE);
   }
 
   sendUnpause() {
-    this.statusRecord.set(`player-${this.isHost ? 1 : 2}`, {
-      action: ACTION.UNPAUSE,
-      t: Date.now(),
-    });
+    this.send(ACTION.UNPAUSE);
   }
 }
@@ -1,6 +1,7 @@
 export const MODE = {
   MULTIPLAYER: 'MULTIPLAYER',
   SINGLEPLAYER: 'SINGLEPLAYER',
+  AI: 'AI',
 };
 
 export const CONTROLMODE = {
@@ -34,6 +35,12 @@ export const EVENT = {
   BALL_PADDLE_COLLISION: 'BALL_PADDLE_COLLISION',
   BALL_NET_COLLISION: 'BALL_NET_COLLISION',
   INIT_BALL: 'INIT_BALL',
+  POINT: 'POINT',
+  // the connection of one of the players dropped, with the PLAYER
+  CONNECTION_LOST: 'CONNECTION_LOST',
+  // another player has a different version of the game, with what to tell
+  // the player
+  VERSION_MISMATCH: 'VERSION_MISMATCH',
   LOAD_PROGRESS: 'LOAD_PROGRESS',
 };
 
@@ -49,11 +56,116 @@ export const ACTION = {
   REQUEST_COUNTDOWN: 'REQUEST_COUNTDOWN',
   PAUSE: 'PAUSE',
   UNPAUSE: 'UNPAUSE',
+  // webrtc offers and answers, see transport/webrtc.js
+  SIGNAL: 'SIGNAL',
+  // sent every second so the opponent notices when we are gone
+  HEARTBEAT: 'HEARTBEAT',
+  // a player that was gone asks for the state of the game and gets it back
+  RESUME: 'RESUME',
+  RESUME_STATE: 'RESUME_STATE',
+  // the answer of the host to CONNECT, see protocol.js
+  VERSION: 'VERSION',
+  // where the ball is in its flight, see Scene.syncBall
+  BALL: 'BALL',
+  // every point is acknowledged, if the players count differently the host
+  // sends its score, see Scene.checkScore
+  POINT_ACK: 'POINT_ACK',
+  SCORE: 'SCORE',
+};
+
+// sides of the table from the point of view of this client
+export const PLAYER = {
+  SELF: 'SELF',
+  OPPONENT: 'OPPONENT',
+};
+
+// why a rally was lost, see rules.js
+export const FAULT = {
+  // the ball bounced on the hitters own side
+  OWN_SIDE: 'OWN_SIDE',
+  // the ball bounced twice on the receivers side
+  DOUBLE_BOUNCE: 'DOUBLE_BOUNCE',
+  // the ball touched the net and didn't land on the other side
+  NET: 'NET',
+  // the ball didn't land on the table at all
+  OUT: 'OUT',
+  // the receiver didn't return a ball that bounced on their side
+  MISS: 'MISS',
+  // the receiver hit the ball over the table before it bounced
+  OBSTRUCTION: 'OBSTRUCTION',
+  // the same player hit the ball twice in a row
+  DOUBLE_HIT: 'DOUBLE_HIT',
+  // the server missed the toss or the serve didn't bounce on both sides, in
+  // doubles also a serve that didn't go from right half to right half
+  SERVE: 'SERVE',
+  // in doubles the partners have to hit in turns, the other one hit the ball
+  ORDER: 'ORDER',
+  // the serve touched the net but was good otherwise, nobody scores and the
+  // serve is repeated
+  LET: 'LET',
+};
+
+// a match is won by whoever wins the majority of this many games
+export const MATCH_FORMATS = [1, 3, 5, 7];
+
+// config values the host of a multiplayer game can choose from on the open
+// room screen, the first one is the default. the guest takes them over when
+// joining and refuses settings it doesn't know, see Communication
+export const MATCH_SETTINGS = {
+  bestOf: MATCH_FORMATS,
+  POINTS_FOR_WIN: [11, 21, 5],
+  startLives: [5, 3, 10],
+  maxSpeed: [1.5, 1.2, 2],
+  gravity: [6, 4, 9.81],
+  doubles: [false, true],
+};
+
+export const AI_DIFFICULTY = {
+  EASY: {
+    name: 'easy',
+    // ms before the ai starts moving after the player hit the ball
+    reactionTime: 450,
+    // max distance in m between where the ai puts its paddle and where the
+    // ball will actually be
+    positionError: 0.12,
+    // how fast the ai can move its paddle in m/s
+    paddleSpeed: 1.6,
+    // how far off center the ai hits the ball to aim, in paddle sizes
+    aimRange: 0.2,
+    // chance of going for a smash or a lob instead of a safe return
+    aggression: 0.05,
+    // how fast the ai brushes the ball upwards for topspin in m/s
+    spin: 0,
+    // see swingInfluence in the config
+    swingInfluence: 0,
+  },
+  MEDIUM: {
+    name: 'medium',
+    reactionTime: 300,
+    positionError: 0.06,
+    paddleSpeed: 2.5,
+    aimRange: 0.5,
+    aggression: 0.3,
+    spin: 1.5,
+    swingInfluence: 0.2,
+  },
+  HARD: {
+    name: 'hard',
+    reactionTime: 180,
+    positionError: 0.02,
+    paddleSpeed: 4,
+    aimRange: 0.8,
+    aggression: 0.6,
+    spin: 3,
+    swingInfluence: 0.4,
+  },
 };
 
 export const INITIAL_CONFIG = {
   mode: MODE.SINGLEPLAYER,
   gravity: 6,
+  // the ball gets a little faster with every hit, up to this factor
+  maxSpeed: 1.5,
   netThickness: 0.04,
   tableWidth: 1.52,
   tableDepth: 2.74,
@@ -74,11 +186,63 @@ export const INITIAL_CONFIG = {
   ballPaddleBounciness: 1,
   ballBoxBounciness: 0.95,
   ballInitVelocity: 1,
+  // swing: the paddle velocity is averaged over this many frames. the
+  // outgoing ball velocity is blended between an assisted shot and the one
+  // the swing would produce, the influence of the swing depends on how
+  // precise the controls are
+  swingHistoryFrames: 6,
+  swingInfluenceMouse: 0.3,
+  swingInfluenceMobile: 0.15,
+  swingInfluenceVR: 0.6,
+  minSwingSpeed: 1.5,
+  maxSwingSpeed: 9,
+  // paddle face: how far the player can open (positive) or close (negative)
+  // the face with the mouse wheel or the smash key, how much one wheel step
+  // rotates it and how strongly the face angle turns the assisted shot
+  maxPaddleTilt: 0.6,
+  paddleTiltStep: 0.05,
+  paddleFaceAimFactor: 1,
+  // head pitch in vr mode at which the paddle face is not tilted
+  vrNeutralHeadPitch: -0.4,
+  // spin: how much of the paddle's tangential motion turns into spin (rad/s
+  // per m/s), the upper bound for the spin and the strength of the magnus
+  // force that bends the flight of a spinning ball
+  spinFromSwing: 40,
+  maxSpin: 150,
+  magnusCoefficient: 0.004,
+  // on a table bounce, the share of the surface velocity of the spinning ball
+  // that is converted into linear velocity and the share of the spin that is
+  // lost
+  tableSpinTransfer: 0.35,
+  tableSpinDamping: 0.4,
+  // how fast the server tosses the ball up in m/s
+  serveTossVelocity: 2.5,
   rainbowText: 'rainbow mode!',
   cameraHeight: 1.6,
   startLives: 5,
   state: STATE.PRELOADER,
   POINTS_FOR_WIN: 11,
+  // number of games in a match, see MATCH_FORMATS
+  bestOf: 1,
+  // four players instead of two, the host and the second guest play against
+  // the first and the third guest
+  doubles: false,
+  // ms between two games of a match
+  changeEndsDuration: 3000,
+  // ms a player gets to come back after the connection dropped before the
+  // match is lost
+  reconnectGracePeriod: 30000,
+  // ms between two moves of the paddle we send. the paddles of the other
+  // players are shown this many ms behind the latest move we have so we can
+  // interpolate, if the moves run out the paddles keep moving for up to
+  // maxExtrapolation ms
+  moveInterval: 80,
+  interpolationDelay: 100,
+  maxExtrapolation: 100,
+  // ms between two states of the ball its owner sends, and how many m off
+  // our own ball may be before it is corrected
+  ballSyncInterval: 200,
+  ballSyncTolerance: 0.02,
   ROOM_CODE_LENGTH: 4,
   colors: {
     PINK_TABLE: 0xfbb8c3,
@@ -2,6 +2,7 @@ import wrap from 'wordwrap';
 import values from 'object.values';
 import {Group, MeshBasicMaterial, TextGeometry, Mesh} from 'three';
 import $ from 'zepto-modules';
+import {PLAYER} from '../constants';
 import Button from './button';
 
 const CHAR_LIMIT = 16;
@@ -63,14 +64,16 @@ export default class Message {
   }
 
   gameOver(score) {
-    const multiplayer = score.self || score.opponent;
+    const multiplayer = score.self || score.opponent || score.forfeit;
     this.messageGroup.remove(...this.messageGroup.children);
     const material = new MeshBasicMaterial({
       color: 0xffffff,
       transparent: true,
     });
     let text = '';
-    if (multiplayer) {
+    if (score.forfeit) {
+      text = score.forfeit === PLAYER.OPPONENT ? 'YOU WON' : 'YOU LOST';
+    } else if (multiplayer) {
       text = score.self > score.opponent ? 'YOU WON' : 'YOU LOST';
     } else {
       text = `${score.highest} ${score.highest === 1 ? 'PT' : 'PTS'}`;
@@ -91,8 +94,12 @@ export default class Message {
     this.buttons.exit = new Button(this.messageGroup, this.font, 'exit', 0.25, buttonsYPosition, this.emitter);
     this.buttons.restart = new Button(this.messageGroup, this.font, 'restart', -0.25, buttonsYPosition, this.emitter);
 
+    // for matches over more than one game show the games won and the points
+    // of every game below
+    const match = score.history && score.history.length > 1;
     if (multiplayer) {
-      geometry = new TextGeometry(`You: ${score.self} Opponent: ${score.opponent}`, {
+      const summary = match ? score.games : score;
+      geometry = new TextGeometry(`You: ${summary.self} Opponent: ${summary.opponent}`, {
         font: this.font,
         size: FONT_SIZE,
         height: 0.001,
@@ -104,6 +111,32 @@ export default class Message {
       scoreText.position.y = 0.07;
       this.messageGroup.add(scoreText);
     }
+    if (match) {
+      geometry = new TextGeometry(score.history.map(game => `${game.self}-${game.opponent}`).join('  '), {
+        font: this.font,
+        size: FONT_SIZE * 0.7,
+        height: 0.001,
+        curveSegments: 3,
+      });
+      geometry.computeBoundingBox();
+      const gamesText = new Mesh(geometry, material);
+      gamesText.position.x = -geometry.boundingBox.max.x / 2;
+      gamesText.position.y = 0;
+      this.messageGroup.add(gamesText);
+    }
+    if (score.forfeit) {
+      geometry = new TextGeometry(score.forfeit === PLAYER.OPPONENT ? 'opponent left' : 'connection lost', {
+        font: this.font,
+        size: FONT_SIZE * 0.7,
+        height: 0.001,
+        curveSegments: 3,
+      });
+      geometry.computeBoundingBox();
+      const forfeitText = new Mesh(geometry, material);
+      forfeitText.position.x = -geometry.boundingBox.max.x / 2;
+      forfeitText.position.y = match ? -0.05 : 0;
+      this.messageGroup.add(forfeitText);
+    }
     this.messageGroup.position.y = this.config.tableHeight + 0.3;
   }
 
@@ -1,5 +1,5 @@
 import {MeshBasicMaterial, TextGeometry, Mesh, Group, CircleGeometry, DoubleSide} from 'three';
-import {MODE} from '../constants';
+import {MODE, PLAYER} from '../constants';
 
 export default class ScoreDisplay {
   constructor(parent, config, font) {
@@ -12,11 +12,11 @@ export default class ScoreDisplay {
   }
 
   setupText() {
-    let material = new MeshBasicMaterial({
+    const material = new MeshBasicMaterial({
       color: 0xffffff,
       transparent: true,
     });
-    let geometry = new TextGeometry('0', {
+    const geometry = new TextGeometry('0', {
       font: this.font,
       size: 0.35,
       height: 0.001,
@@ -38,19 +38,7 @@ export default class ScoreDisplay {
     this.opponentScore.visible = this.config.mode === MODE.MULTIPLAYER;
 
     this.lifeGroup = new Group();
-    for (let i = 0; i < this.config.startLives; i += 1) {
-      geometry = new CircleGeometry(0.025, 32);
-      material = new MeshBasicMaterial({
-        color: 0xffffff,
-        transparent: true,
-        side: DoubleSide,
-        opacity: 1,
-      });
-      const life = new Mesh(geometry, material);
-      life.position.x = i * 0.12;
-      this.lives.push(life);
-      this.lifeGroup.add(life);
-    }
+    this.setupLives();
     this.lifeGroup.position.z = -1.4;
     this.lifeGroup.position.y = this.config.tableHeight + 0.24;
     this.lifeGroup.position.x = this.config.tableWidth / 2;
@@ -59,6 +47,77 @@ export default class ScoreDisplay {
     this.lifeGroup.visible = this.config.mode === MODE.SINGLEPLAYER;
 
     this.parent.add(this.lifeGroup);
+
+    // shows whose serve it is, below the score of the server
+    this.serveIndicator = new Mesh(
+      new CircleGeometry(0.025, 32),
+      new MeshBasicMaterial({
+        color: 0xffffff,
+        transparent: true,
+        side: DoubleSide,
+      })
+    );
+    this.serveIndicator.rotation.y = Math.PI / 2;
+    this.serveIndicator.visible = false;
+    this.parent.add(this.serveIndicator);
+
+    // games won in a match, above the own score
+    this.gameScore = new Mesh(geometry.clone(), material.clone());
+    this.gameScore.rotation.y = Math.PI / 2;
+    this.gameScore.visible = false;
+    this.parent.add(this.gameScore);
+    this.setGames({self: 0, opponent: 0});
+  }
+
+  setupLives() {
+    // the number of lives is one of the match settings, so this runs again
+    // when they change
+    this.lifeGroup.remove(...this.lives);
+    this.lives = [];
+    for (let i = 0; i < this.config.startLives; i += 1) {
+      const life = new Mesh(
+        new CircleGeometry(0.025, 32),
+        new MeshBasicMaterial({
+          color: 0xffffff,
+          transparent: true,
+          side: DoubleSide,
+          opacity: 1,
+        })
+      );
+      life.position.x = i * 0.12;
+      this.lives.push(life);
+      this.lifeGroup.add(life);
+    }
+  }
+
+  setGames(games) {
+    this.gameScore.geometry = new TextGeometry(`games ${games.self} - ${games.opponent}`, {
+      font: this.font,
+      size: 0.06,
+      height: 0.001,
+      curveSegments: 3,
+    });
+    this.gameScore.geometry.computeBoundingBox();
+
+    this.gameScore.position.x = -this.config.tableWidth / 2;
+    this.gameScore.position.y = this.config.tableHeight + 0.62;
+    this.gameScore.position.z = this.config.tablePositionZ
+      + this.config.tableDepth / 2.8
+      + this.gameScore.geometry.boundingBox.max.x / 2;
+    this.gameScore.visible = this.selfScore.visible
+      && this.opponentScore.visible
+      && this.config.bestOf > 1;
+  }
+
+  setServer(server) {
+    // the scores are rotated to face the player, so their text runs along z
+    const score = server === PLAYER.SELF ? this.selfScore : this.opponentScore;
+    const halfWidth = score.geometry.boundingBox.max.x / 2;
+    this.serveIndicator.position.set(
+      score.position.x,
+      this.config.tableHeight + 0.12,
+      score.position.z + (server === PLAYER.SELF ? -halfWidth : halfWidth)
+    );
   }
 
   setSelfScore(value) {
@@ -106,12 +165,16 @@ export default class ScoreDisplay {
   hide() {
     this.opponentScore.visible = false;
     this.selfScore.visible = false;
+    this.serveIndicator.visible = false;
+    this.gameScore.visible = false;
     this.lives.forEach(life => {life.visible = false;});
   }
 
   show(multiplayer) {
     this.opponentScore.visible = multiplayer;
     this.selfScore.visible = true;
+    this.serveIndicator.visible = multiplayer;
+    this.gameScore.visible = multiplayer && this.config.bestOf > 1;
     this.lives.forEach(life => {life.visible = !multiplayer;});
   }
 }
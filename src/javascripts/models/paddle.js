@@ -46,6 +46,21 @@ export default (objLoader, config, parent) => new Promise(resolve => {
     paddleOpponent.position.y = 1;
     paddleOpponent.visible = false;
     parent.add(paddleOpponent);
-    resolve({paddle, paddleOpponent});
+
+    // the other two players in doubles
+    const paddlePartner = object.clone();
+    paddlePartner.name = 'paddlePartner';
+    paddlePartner.position.z = config.tablePositionZ + config.tableDepth / 2;
+    paddlePartner.position.y = 1;
+    paddlePartner.visible = false;
+    parent.add(paddlePartner);
+
+    const paddleOpponentPartner = object.clone();
+    paddleOpponentPartner.name = 'paddleOpponentPartner';
+    paddleOpponentPartner.position.z = config.tablePositionZ - config.tableDepth / 2;
+    paddleOpponentPartner.position.y = 1;
+    paddleOpponentPartner.visible = false;
+    parent.add(paddleOpponentPartner);
+    resolve({paddle, paddleOpponent, paddlePartner, paddleOpponentPartner});
   });
 });
@@ -31,7 +31,7 @@ export default (parent, config) => {
     color: config.colors.BLUE_TABLE,
   });
 
-  if (config.mode === MODE.MULTIPLAYER) {
+  if (config.mode !== MODE.SINGLEPLAYER) {
     // opponent half
     geometry = new BoxGeometry(config.tableWidth, config.tableThickness, tableDepth);
     delete geometry.faces[8];
@@ -64,7 +64,7 @@ export default (parent, config) => {
 
   group.add(upwardsTableGroup);
 
-  tableDepth = config.mode === MODE.MULTIPLAYER ? config.tableDepth : config.tableDepth / 2;
+  tableDepth = config.mode === MODE.SINGLEPLAYER ? config.tableDepth / 2 : config.tableDepth;
   // lines
   // put the lines slightly above the table to combat z-fighting
   const epsilon = 0.001;
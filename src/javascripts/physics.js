@@ -5,6 +5,19 @@ import Util from './webvr-manager/util';
 
 /* global CANNON */
 
+const TABLE_BOUNCINESS = 0.7;
+const TABLE_FRICTION = 0.3;
+const BALL_LINEAR_DAMPING = 0.1;
+// step size for predicting the flight of the ball in seconds
+const PREDICTION_STEP = 1 / 120;
+// cannon's friction takes away this share of the sliding velocity of the ball
+// on a table bounce, but no more than the max in m/s. measured at 60 steps per
+// second, the prediction has to do the same
+const TABLE_GRIP = 0.37;
+const MAX_TABLE_GRIP = 1.8;
+// m from the center of the net, further away the ball can touch it again
+const NET_CONTACT_DISTANCE = 0.1;
+
 export default class Physics {
   constructor(config, emitter) {
     // config
@@ -15,11 +28,15 @@ export default class Physics {
     this.ball = null;
     this.net = null;
     this.paddle = null;
-    this.ballNetContact = null;
+    // the ball touches the net on this pass, see onBallNetCollision
+    this.ballNetContact = false;
     this.ballPaddleContact = null;
     this.raycaster = new Raycaster();
     this.isMobile = Util.isMobile();
     this.speed = 1;
+    // normal of the table surface the ball touched in this step, the spin is
+    // applied to the bounce after the solver is done
+    this.ballTableContactNormal = null;
   }
 
   setupWorld() {
@@ -27,6 +44,8 @@ export default class Physics {
     this.world.gravity.set(0, -this.config.gravity, 0);
     this.world.broadphase = new CANNON.NaiveBroadphase();
     this.world.solver.iterations = 20;
+    this.world.addEventListener('preStep', this.applyMagnusForce.bind(this));
+    this.world.addEventListener('postStep', this.applyBounceSpin.bind(this));
     this.setupTable();
     this.setupNet();
   }
@@ -50,9 +69,23 @@ export default class Physics {
       this.config.tableHeight + this.config.netHeight / 2,
       this.config.tablePositionZ
     );
+    this.net.addEventListener('collide', e => {
+      if (e.body === this.ball) {
+        this.onBallNetCollision();
+      }
+    });
     this.world.add(this.net);
   }
 
+  onBallNetCollision() {
+    // cannon reports every step the ball touches the net and the scene's
+    // raycast might find it first, tell about it once per pass. in
+    // singleplayer the net isn't there
+    if (!this.net.collisionResponse || this.ballNetContact) return;
+    this.ballNetContact = true;
+    this.emitter.emit(EVENT.BALL_NET_COLLISION);
+  }
+
   setupTable() {
     this.table = new CANNON.Body({
       mass: 0,
@@ -111,10 +144,10 @@ export default class Physics {
       material: new CANNON.Material(),
     });
 
-    ball.linearDamping = 0.1;
+    ball.linearDamping = BALL_LINEAR_DAMPING;
 
-    this.addContactMaterial(ball.material, this.table.material, 0.7, 0.3);
-    this.addContactMaterial(ball.material, this.upwardsTable.material, 0.7, 0.3);
+    this.addContactMaterial(ball.material, this.table.material, TABLE_BOUNCINESS, TABLE_FRICTION);
+    this.addContactMaterial(ball.material, this.upwardsTable.material, TABLE_BOUNCINESS, TABLE_FRICTION);
 
     ball.position.y = this.config.tableHeight / 2;
     ball.position.z = this.config.tablePositionZ;
@@ -124,47 +157,246 @@ export default class Physics {
   }
 
   increaseSpeed() {
-    this.speed = Math.min(this.speed * 1.01, 1.5);
+    this.speed = Math.min(this.speed * 1.01, this.config.maxSpeed);
   }
 
-  onBallPaddleCollision(e) {
-    this.increaseSpeed();
+  updateGravity() {
+    // the gravity is one of the match settings, see Scene.applySettings
+    this.world.gravity.set(0, -this.config.gravity, 0);
+  }
+
+  onBallPaddleCollision(e, swing) {
     this.emitter.emit(EVENT.BALL_PADDLE_COLLISION, e.body);
+    if (swing && swing.serve) {
+      // the spin goes first, the serve is aimed with it
+      this.setSpinFromSwing(e.body, swing.velocity);
+      const serve = this.serveVelocity(e.body, e.target);
+      e.body.velocity.set(serve.x, serve.y, serve.z);
+      return;
+    }
+    this.increaseSpeed();
+    // e.body is the ball and e.target is the paddle. the outgoing velocity is
+    // a blend between what the swing of the paddle would do to the ball and
+    // an assisted shot that always lands on the table. how much the swing
+    // counts depends on the controls, see swingInfluence in the config
+    let assisted = this.assistedVelocity(e.body, e.target);
+    if (swing && swing.normal && swing.neutralNormal) {
+      assisted = this.aimAlongPaddleFace(assisted, swing.normal, swing.neutralNormal);
+    }
+    let velocity = assisted;
+    if (swing && swing.influence > 0) {
+      const swung = this.swingVelocity(e.body, swing);
+      velocity = {
+        x: assisted.x + (swung.x - assisted.x) * swing.influence,
+        y: assisted.y + (swung.y - assisted.y) * swing.influence,
+        z: assisted.z + (swung.z - assisted.z) * swing.influence,
+      };
+    }
+    e.body.velocity.set(velocity.x, velocity.y, velocity.z);
+    this.setSpinFromSwing(e.body, swing && swing.velocity);
+  }
+
+  assistedVelocity(ball, paddle) {
     // in here we calculate where the ball should fly after hitting it with the
     // paddle. if the ball hits the paddle on the left, it flies to the left
     // and vice versa.
-    // e.body is the ball and e.target is the paddle
-
-    let hitpointX = e.body.position.x - e.target.position.x;
+    const velocity = {};
+    let hitpointX = ball.position.x - paddle.position.x;
 
     // normalize to -1 to 1
     hitpointX = cap(hitpointX / this.config.paddleSize, -1, 1);
 
-    const distFromRim = e.body.position.z - (this.config.tablePositionZ + this.config.tableDepth / 2);
-    if (this.config.mode === MODE.MULTIPLAYER) {
-      e.body.velocity.z = -3.5 * this.speed + distFromRim * 1.2;
+    const distFromRim = ball.position.z - (this.config.tablePositionZ + this.config.tableDepth / 2);
+    if (this.config.mode !== MODE.SINGLEPLAYER) {
+      velocity.z = -3.5 * this.speed + distFromRim * 1.2;
       // make aiming a little easier on mobile
       if (this.isMobile) {
-        e.body.velocity.x = -hitpointX * e.body.velocity.z * 0.1;
+        velocity.x = -hitpointX * velocity.z * 0.1;
       } else {
-        e.body.velocity.x = -hitpointX * e.body.velocity.z * 0.4;
+        velocity.x = -hitpointX * velocity.z * 0.4;
       }
-      e.body.velocity.y = 2 * (1 / this.speed) + distFromRim * 1.2;
+      velocity.y = 2 * (1 / this.speed) + distFromRim * 1.2;
     } else {
-      const distFromCenter = e.target.position.x / this.config.tableWidth * 0.5;
+      const distFromCenter = paddle.position.x / this.config.tableWidth * 0.5;
 
-      e.body.velocity.z = -3.5 * this.speed + distFromRim * 0.8;
+      velocity.z = -3.5 * this.speed + distFromRim * 0.8;
       // make aiming a little easier on mobile
       if (this.isMobile) {
-        e.body.velocity.x = (-distFromCenter * 1.2) - (hitpointX * e.body.velocity.z * 0.2);
+        velocity.x = (-distFromCenter * 1.2) - (hitpointX * velocity.z * 0.2);
       } else {
-        e.body.velocity.x = (-distFromCenter * 1.2) - (hitpointX * e.body.velocity.z * 0.3);
+        velocity.x = (-distFromCenter * 1.2) - (hitpointX * velocity.z * 0.3);
+      }
+      velocity.y = 2 * (1 / this.speed) + distFromRim * 0.8;
+    }
+    return velocity;
+  }
+
+  serveVelocity(ball, paddle) {
+    // a serve has to bounce on the servers side first and then on the other
+    // side. try a range of shots and take the one whose bounces are closest
+    // to the middle of each half, the hit point aims it sideways like a
+    // normal shot
+    const hitpointX = cap((ball.position.x - paddle.position.x) / this.config.paddleSize, -1, 1);
+    const ownTarget = this.config.tablePositionZ + this.config.tableDepth / 4;
+    const target = this.config.tablePositionZ - this.config.tableDepth / 4;
+    // leave some room above the net, the bounces of the live ball vary a bit
+    const netClearance = this.config.tableHeight + this.config.netHeight + 0.1;
+    let best = null;
+    let bestError = Infinity;
+    for (let z = -1.5; z >= -4; z -= 0.5) {
+      for (let y = -4; y <= 1; y += 0.5) {
+        const velocity = {x: hitpointX * z * 0.2, y, z};
+        const prediction = this.predictTrajectory(1500, {
+          position: ball.position,
+          velocity,
+          angularVelocity: ball.angularVelocity,
+        });
+        const [own, other] = prediction.bounces;
+        if (own && other
+          && !own.onOpponentSide
+          && other.onOpponentSide
+          && prediction.netCrossing
+          && prediction.netCrossing.position.y > netClearance) {
+          const error = Math.abs(own.position.z - ownTarget) + Math.abs(other.position.z - target);
+          if (error < bestError) {
+            best = velocity;
+            bestError = error;
+          }
+        }
       }
-      e.body.velocity.y = 2 * (1 / this.speed) + distFromRim * 0.8;
     }
+    // no legal serve from here, just play it like a normal shot
+    return best || this.assistedVelocity(ball, paddle);
+  }
+
+  aimAlongPaddleFace(velocity, normal, neutralNormal) {
+    // the assisted shot is computed for a paddle in its default orientation.
+    // if the player opened, closed or turned the face, turn the shot by the
+    // same angles: an open face lifts the ball for a lob, a closed face
+    // pushes it down for a smash
+    const pitch = v => Math.asin(cap(v.y / Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z), -1, 1));
+    const yaw = v => Math.atan2(v.x, -v.z);
+    const deltaPitch = (pitch(normal) - pitch(neutralNormal)) * this.config.paddleFaceAimFactor;
+    const deltaYaw = (yaw(normal) - yaw(neutralNormal)) * this.config.paddleFaceAimFactor;
+
+    const speed = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y + velocity.z * velocity.z);
+    const newPitch = cap(pitch(velocity) + deltaPitch, -Math.PI / 2.5, Math.PI / 2.5);
+    const newYaw = cap(yaw(velocity) + deltaYaw, -Math.PI / 4, Math.PI / 4);
+    return {
+      x: speed * Math.cos(newPitch) * Math.sin(newYaw),
+      y: speed * Math.sin(newPitch),
+      z: -speed * Math.cos(newPitch) * Math.cos(newYaw),
+    };
+  }
+
+  swingVelocity(ball, swing) {
+    // treat the paddle as a moving plane: in the paddle's frame of reference
+    // the ball bounces off the face with the paddle bounciness and loses some
+    // of its sliding velocity to friction, afterwards the paddle velocity is
+    // added back on
+    const n = swing.normal;
+    const relative = {
+      x: ball.velocity.x - swing.velocity.x,
+      y: ball.velocity.y - swing.velocity.y,
+      z: ball.velocity.z - swing.velocity.z,
+    };
+    const normalSpeed = relative.x * n.x + relative.y * n.y + relative.z * n.z;
+    const tangentialFactor = 1 - this.config.ballPaddleFriction;
+    const velocity = {};
+    ['x', 'y', 'z'].forEach(axis => {
+      const normalPart = normalSpeed * n[axis];
+      const tangentialPart = relative[axis] - normalPart;
+      velocity[axis] = swing.velocity[axis]
+        - normalPart * this.config.ballPaddleBounciness
+        + tangentialPart * tangentialFactor;
+    });
+
+    // a paddle that is pulled back would send the ball behind the player,
+    // make sure it always travels towards the other side and not faster than
+    // a real player could hit it
+    velocity.z = Math.min(velocity.z, -this.config.minSwingSpeed);
+    const speed = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y + velocity.z * velocity.z);
+    if (speed > this.config.maxSwingSpeed) {
+      const factor = this.config.maxSwingSpeed / speed;
+      velocity.x *= factor;
+      velocity.y *= factor;
+      velocity.z *= factor;
+    }
+    return velocity;
+  }
+
+  setSpinFromSwing(ball, paddleVelocity) {
+    // the paddle face looks along the z axis, so its movement along x and y
+    // brushes the ball. brushing upwards gives topspin (negative x rotation),
+    // brushing sideways gives sidespin around the y axis
+    if (!paddleVelocity) {
+      ball.angularVelocity.set(0, 0, 0);
+      return;
+    }
+    const max = this.config.maxSpin;
+    ball.angularVelocity.set(
+      cap(-paddleVelocity.y * this.config.spinFromSwing, -max, max),
+      cap(paddleVelocity.x * this.config.spinFromSwing, -max, max),
+      0
+    );
+  }
+
+  applyMagnusForce() {
+    // a spinning ball is pushed in the direction of spin x velocity. this is
+    // called before every internal step of the world because cannon clears
+    // the forces after integrating them
+    if (!this.ball) return;
+    const magnus = this.magnusAcceleration(this.ball.angularVelocity, this.ball.velocity);
+    magnus.scale(this.ball.mass, magnus);
+    this.ball.force.vadd(magnus, this.ball.force);
+  }
+
+  magnusAcceleration(angularVelocity, velocity) {
+    const acceleration = angularVelocity.cross(velocity);
+    return acceleration.scale(this.config.magnusCoefficient, acceleration);
+  }
+
+  applyBounceSpin() {
+    if (!this.ballTableContactNormal) return;
+    this.bounceSpin(this.ball.velocity, this.ball.angularVelocity, this.ballTableContactNormal);
+    this.ballTableContactNormal = null;
+  }
+
+  bounceSpin(velocity, angularVelocity, normal) {
+    // the ball grips the table at the contact point: its surface velocity
+    // (spin x contact point) is partly converted into linear velocity. topspin
+    // makes the ball kick forward, backspin makes it stop, sidespin makes it
+    // jump sideways
+    const contactPoint = normal.scale(-this.config.ballRadius);
+    const surfaceVelocity = angularVelocity.cross(contactPoint);
+    surfaceVelocity.scale(this.config.tableSpinTransfer, surfaceVelocity);
+    velocity.vsub(surfaceVelocity, velocity);
+    angularVelocity.scale(1 - this.config.tableSpinDamping, angularVelocity);
+  }
+
+  tableGrip(velocity, angularVelocity, normal) {
+    // friction at the contact point slows down the sliding ball and makes it
+    // roll, this is what cannon does to the live ball on a bounce
+    const contactPoint = normal.scale(-this.config.ballRadius);
+    const slip = velocity.vadd(angularVelocity.cross(contactPoint));
+    slip.vsub(normal.scale(slip.dot(normal)), slip);
+    const slipSpeed = slip.length();
+    if (slipSpeed === 0) return;
+    const change = slip.scale(-Math.min(TABLE_GRIP * slipSpeed, MAX_TABLE_GRIP) / slipSpeed);
+    velocity.vadd(change, velocity);
+    const spinChange = normal.cross(change);
+    spinChange.scale(-1.5 / this.config.ballRadius, spinChange);
+    angularVelocity.vadd(spinChange, angularVelocity);
   }
 
   onBallTableCollision(e) {
+    // the upwards table in singleplayer is a wall facing the player. in
+    // multiplayer it still reports collisions but the ball flies through it
+    if (e.target.collisionResponse) {
+      this.ballTableContactNormal = e.target === this.upwardsTable
+        ? new CANNON.Vec3(0, 0, 1)
+        : new CANNON.Vec3(0, 1, 0);
+    }
     this.emitter.emit(EVENT.BALL_TABLE_COLLISION, e.body, e.target);
   }
 
@@ -172,6 +404,19 @@ export default class Physics {
     this.paddle.position.set(x, y, z);
   }
 
+  tossBall(position) {
+    // the server tosses the ball straight up from its paddle, but never from
+    // below the table top
+    this.speed = 1;
+    this.ball.position.set(
+      position.x,
+      Math.max(position.y, this.config.tableHeight + 0.1),
+      position.z
+    );
+    this.ball.velocity.set(0, this.config.serveTossVelocity, 0);
+    this.ball.angularVelocity.set(0, 0, 0);
+  }
+
   initBallPosition() {
     this.speed = 1;
     if (this.config.mode === MODE.SINGLEPLAYER) {
@@ -210,7 +455,7 @@ export default class Physics {
 
     const arr = this.raycaster.intersectObjects([net], true);
     if (arr.length) {
-      this.emitter.emit(EVENT.BALL_NET_COLLISION);
+      this.onBallNetCollision();
       this.ball.position.copy(arr[0].point);
       // slowing down the ball after a net hit feels more realistic
       this.ball.velocity.x *= 0.2;
@@ -219,11 +464,131 @@ export default class Physics {
     }
   }
 
+  predictTrajectory(duration = 2000, state = this.ball) {
+    // integrates the flight of the ball without touching the world, so it can
+    // be called as often as needed. state defaults to the current ball, but
+    // any {position, velocity, angularVelocity} works. duration and all
+    // returned times are in ms of simulated time. returns the sampled path,
+    // every bounce on the table, where the ball crosses the net and where it
+    // lands on the floor (or null if it doesn't within the duration)
+    const position = new CANNON.Vec3().copy(state.position);
+    const velocity = new CANNON.Vec3().copy(state.velocity);
+    const angularVelocity = state.angularVelocity
+      ? new CANNON.Vec3().copy(state.angularVelocity)
+      : new CANNON.Vec3();
+    const gravity = new CANNON.Vec3(0, -this.config.gravity, 0);
+    const r = this.config.ballRadius;
+    const tableTop = this.config.tableHeight;
+    const netZ = this.config.tablePositionZ;
+    const netTop = this.config.tableHeight + this.config.netHeight;
+    const wallActive = this.upwardsTable.collisionResponse;
+    const netActive = this.net.collisionResponse;
+
+    const prediction = {
+      points: [{time: 0, position: position.clone()}],
+      bounces: [],
+      netCrossing: null,
+      landing: null,
+    };
+
+    let previousTime = 0;
+    for (let step = 1; previousTime < duration; step += 1) {
+      // the last step only goes as far as the duration
+      const time = Math.min(step * PREDICTION_STEP * 1000, duration);
+      const dt = (time - previousTime) / 1000;
+      previousTime = time;
+      const previousZ = position.z;
+      const acceleration = this.magnusAcceleration(angularVelocity, velocity);
+      acceleration.vadd(gravity, acceleration);
+      velocity.vadd(acceleration.scale(dt), velocity);
+      // same as cannon: (1 - damping) ^ dt
+      velocity.scale(Math.exp(Math.log(1 - BALL_LINEAR_DAMPING) * dt), velocity);
+      position.vadd(velocity.scale(dt), position);
+
+      if (position.y - r < tableTop
+        && velocity.y < 0
+        && Math.abs(position.x - this.table.position.x) < this.config.tableWidth / 2
+        && Math.abs(position.z - this.table.position.z) < this.config.tableDepth / 2) {
+        position.y = tableTop + r;
+        velocity.y *= -TABLE_BOUNCINESS;
+        this.tableGrip(velocity, angularVelocity, new CANNON.Vec3(0, 1, 0));
+        this.bounceSpin(velocity, angularVelocity, new CANNON.Vec3(0, 1, 0));
+        prediction.bounces.push({
+          time,
+          position: position.clone(),
+          onOpponentSide: position.z < netZ,
+        });
+      }
+
+      if (wallActive
+        && position.z - r < netZ
+        && velocity.z < 0
+        && position.y > tableTop
+        && Math.abs(position.x) < this.config.tableWidth / 2) {
+        // singleplayer wall, its front face is where the net would be
+        position.z = netZ + r;
+        velocity.z *= -TABLE_BOUNCINESS;
+        this.tableGrip(velocity, angularVelocity, new CANNON.Vec3(0, 0, 1));
+        this.bounceSpin(velocity, angularVelocity, new CANNON.Vec3(0, 0, 1));
+        prediction.bounces.push({time, position: position.clone(), onOpponentSide: false});
+      }
+
+      if (!wallActive
+        && !prediction.netCrossing
+        && (previousZ - netZ) * (position.z - netZ) <= 0) {
+        const clearsNet = position.y - r > netTop
+          || Math.abs(position.x) > this.config.tableWidth / 2;
+        prediction.netCrossing = {time, position: position.clone(), clearsNet};
+        if (!clearsNet && netActive) {
+          // same as in predictCollisions, the net takes most of the speed
+          velocity.scale(0.2, velocity);
+          velocity.z *= -1;
+        }
+      }
+
+      prediction.points.push({time, position: position.clone()});
+
+      if (position.y - r <= 0) {
+        position.y = r;
+        prediction.landing = {time, position: position.clone()};
+        break;
+      }
+    }
+
+    prediction.positionAt = time => {
+      // interpolates the sampled path, clamped to its start and end
+      const points = prediction.points;
+      if (points.length === 1) {
+        // no time to fly, there is only the start
+        return points[0].position.clone();
+      }
+      const index = Math.min(Math.max(Math.ceil(time / (PREDICTION_STEP * 1000)), 1), points.length - 1);
+      const a = points[Math.max(index - 1, 0)];
+      const b = points[index];
+      const alpha = cap((time - a.time) / ((b.time - a.time) || 1), 0, 1);
+      return new CANNON.Vec3(
+        a.position.x + (b.position.x - a.position.x) * alpha,
+        a.position.y + (b.position.y - a.position.y) * alpha,
+        a.position.z + (b.position.z - a.position.z) * alpha
+      );
+    };
+    return prediction;
+  }
+
+  predictBallPosition(time) {
+    // where will the ball be in n ms
+    return this.predictTrajectory(time).positionAt(time);
+  }
+
   setMode(mode) {
     this.config.mode = mode;
   }
 
   step(delta) {
     this.world.step(1 / 60, delta, 2);
+    if (this.ballNetContact
+        && Math.abs(this.ball.position.z - this.config.tablePositionZ) > NET_CONTACT_DISTANCE) {
+      this.ballNetContact = false;
+    }
   }
 }
@@ -0,0 +1,78 @@
+// the messages the clients send each other. bump the version with every
+// change to them, clients with different versions can't play together.
+//
+// every message is an ACTION with a data object, see constants.js. the
+// transports add data.player, the slot of the sender. all messages but the
+// moves and the pings carry data.s, a sequence number that goes up with every
+// message of the same action of a player. the transports deliver those in
+// order, so anything with a number we already saw is a duplicate or stale,
+// e.g. a record that is delivered again after reconnecting. messages of
+// different actions may overtake each other, e.g. over webrtc and the
+// signaling transport
+//
+// - MOVE {m: [x, y, z, rotation x, y, z], t} the paddle at time t on the
+//   clock of the sender, see encodeMove
+// - HIT {point, velocity, spin} where the ball left the paddle
+// - MISS {point, velocity, outcome, isInit, score} a rally was decided or
+//   the ball is put in place for a serve. score is {number, self, opponent,
+//   games} after the rally, number counts the points of the match
+// - POINT_ACK {number, agreed} the answer of everybody else to a MISS
+// - SCORE {number, self, opponent, games, history} the score of the host
+//   after somebody didn't agree. an authoritative server sends its own as
+//   player SERVER_SLOT whenever the player that decided a rally counts
+//   differently, from the end of the host
+// - BALL {point, velocity, spin, age} the ball of the player that hit it
+//   last, age is the simulated time in ms since the hit. an authoritative
+//   server, see authority.js, sends BALL as player SERVER_SLOT, always in the
+//   space of the host, and the players stop sending theirs
+// - PING {index} and PONG {index, to, time} measure the latency and the
+//   offset of the clocks, time is the clock of the player that answers
+// - CONNECT {version} a guest joined, the host answers with
+//   VERSION {version, to, settings}. the guest only plays if the versions
+//   match and it can play with the settings of the match
+// - RESUME asks for the state of the game after a player was gone, the
+//   answer is RESUME_STATE {score, games, history, firstServer, rules, ball,
+//   state}, see Scene.getResumeState
+// - SIGNAL {description, restart} webrtc offer and answer, restart is set
+//   when the host restarts the ice of the peer connection that is already up
+// - HEARTBEAT, PAUSE, UNPAUSE, REQUEST_COUNTDOWN, RESTART_GAME and
+//   DISCONNECT without data
+export const PROTOCOL_VERSION = 10;
+
+// data.player of the messages of the server
+export const SERVER_SLOT = 0;
+
+// paddle positions are sent in mm, rotations in mrad
+const POSITION_SCALE = 1000;
+const ROTATION_SCALE = 1000;
+
+export const encodeMove = (position, rotation, time) => {
+  return {
+    t: time,
+    m: [
+      Math.round(position.x * POSITION_SCALE),
+      Math.round(position.y * POSITION_SCALE),
+      Math.round(position.z * POSITION_SCALE),
+      Math.round(rotation.x * ROTATION_SCALE),
+      Math.round(rotation.y * ROTATION_SCALE),
+      Math.round(rotation.z * ROTATION_SCALE),
+    ],
+  };
+};
+
+export const decodeMove = data => {
+  return {
+    player: data.player,
+    time: data.t,
+    position: {
+      x: data.m[0] / POSITION_SCALE,
+      y: data.m[1] / POSITION_SCALE,
+      z: data.m[2] / POSITION_SCALE,
+    },
+    rotation: {
+      x: data.m[3] / ROTATION_SCALE,
+      y: data.m[4] / ROTATION_SCALE,
+      z: data.m[5] / ROTATION_SCALE,
+    },
+  };
+};
@@ -0,0 +1,299 @@
+import {EVENT, PLAYER, FAULT} from './constants';
+
+const other = player => (player === PLAYER.SELF ? PLAYER.OPPONENT : PLAYER.SELF);
+
+// after how many points the service changes
+const SERVICE_CHANGE = 2;
+
+// in doubles the players of the side at the near end of the table face -z,
+// for them right is +x, for the other side it's -x
+const isRightHalf = (side, position) => (
+  side === PLAYER.SELF ? position.x >= 0 : position.x <= 0
+);
+
+/**
+ * Keeps track of a rally and decides who wins the point. Gets told about hits,
+ * table bounces and net touches and checks the ball position every frame, as
+ * soon as the rally is decided it emits EVENT.POINT with the winner, the loser
+ * and the FAULT. Everything is from the point of view of this client, the side
+ * of the table at z > tablePositionZ belongs to PLAYER.SELF.
+ * In doubles the players are told apart by their slot in the room, 1 to 4.
+ */
+export default class Rules {
+  constructor(config, emitter) {
+    this.config = config;
+    this.emitter = emitter;
+    // false between the end of a rally and the start of the next one
+    this.live = false;
+    // whoever touched the ball last, the ball is on its way to the other one
+    this.lastHitter = null;
+    // how often the ball bounced on the receivers side since the last hit
+    this.bounces = 0;
+    this.netTouched = false;
+    // the server tossed the ball but didn't hit it yet
+    this.tossed = false;
+    // the serve is on its way, it has to bounce on the servers side first
+    this.serving = false;
+    this.serveBounced = false;
+    // decided but not yet emitted point, see update
+    this.point = null;
+    // doubles only: the slots of both sides, see setSlot, the slot of whoever
+    // touched the ball last and the slot that has to hit next on each side
+    this.teams = null;
+    this.lastSlot = null;
+    this.next = null;
+  }
+
+  setSlot(slot) {
+    // the host and the second guest play together against the other two,
+    // see Communication
+    const odd = [1, 3];
+    const even = [2, 4];
+    this.teams = {
+      [PLAYER.SELF]: slot % 2 === 1 ? odd : even,
+      [PLAYER.OPPONENT]: slot % 2 === 1 ? even : odd,
+    };
+  }
+
+  startRally(server, order = null) {
+    // every rally starts with the server tossing the ball. in doubles order
+    // has the slots of the server and the receiver, see getServeOrder
+    this.live = true;
+    this.lastHitter = server;
+    this.lastSlot = order && order.server;
+    this.next = order && {
+      [server]: order.server,
+      [other(server)]: order.receiver,
+    };
+    this.bounces = 0;
+    this.netTouched = false;
+    this.tossed = true;
+    this.serving = true;
+    this.serveBounced = false;
+    this.point = null;
+  }
+
+  isTossed(player) {
+    return this.live && this.tossed && this.lastHitter === player;
+  }
+
+  getServiceChanges(score) {
+    // service changes every two points. at deuce (10-10 when playing to 11)
+    // it changes after every point
+    const deuce = this.config.POINTS_FOR_WIN - 1;
+    const points = score.self + score.opponent;
+    if (score.self >= deuce && score.opponent >= deuce) {
+      return Math.floor((2 * deuce) / SERVICE_CHANGE) + (points - 2 * deuce);
+    }
+    return Math.floor(points / SERVICE_CHANGE);
+  }
+
+  getServer(score, firstServer) {
+    return this.getServiceChanges(score) % 2 === 0 ? firstServer : other(firstServer);
+  }
+
+  getServeOrder(score, firstServer) {
+    // doubles: A1 serves to B1, B1 to A2, A2 to B2 and B2 to A1, side A is
+    // the one that serves first in this game
+    const first = this.teams[firstServer];
+    const second = this.teams[other(firstServer)];
+    const order = [first[0], second[0], first[1], second[1]];
+    const index = this.getServiceChanges(score) % order.length;
+    return {
+      server: order[index],
+      receiver: order[(index + 1) % order.length],
+    };
+  }
+
+  isTurn(player, slot) {
+    // in doubles the partners hit in turns, in singles it's always your turn
+    return !this.next || this.next[player] === slot;
+  }
+
+  takeTurn(player, slot) {
+    this.lastHitter = player;
+    this.lastSlot = slot;
+    if (this.next) {
+      this.next[player] = this.teams[player].filter(partner => partner !== slot)[0];
+    }
+  }
+
+  isGameOver(score) {
+    // a game has to be won by two points
+    return Math.max(score.self, score.opponent) >= this.config.POINTS_FOR_WIN
+      && Math.abs(score.self - score.opponent) >= 2;
+  }
+
+  isMatchOver(games) {
+    // best of 5 is over as soon as someone won 3 games
+    return Math.max(games.self, games.opponent) > this.config.bestOf / 2;
+  }
+
+  stop() {
+    this.live = false;
+    this.point = null;
+  }
+
+  onHit(player, position, slot = null) {
+    if (!this.live) return;
+    if (this.tossed && this.lastHitter === player) {
+      // the serve itself
+      this.tossed = false;
+      if (!this.isTurn(player, slot)) {
+        this.lastSlot = slot;
+        this.award(player, FAULT.ORDER);
+        return;
+      }
+      this.takeTurn(player, slot);
+      return;
+    }
+    if (this.lastHitter === player) {
+      this.award(player, FAULT.DOUBLE_HIT);
+      return;
+    }
+    if (this.bounces === 0) {
+      if (this.isOverTable(position)) {
+        // volleying a ball that could still land on the table
+        this.lastHitter = player;
+        this.lastSlot = slot;
+        this.award(player, FAULT.OBSTRUCTION);
+      } else {
+        // the ball was already out, hitting it doesn't change that
+        this.award(this.lastHitter, this.netTouched ? FAULT.NET : FAULT.OUT);
+      }
+      return;
+    }
+    if (!this.isTurn(player, slot)) {
+      this.lastHitter = player;
+      this.lastSlot = slot;
+      this.award(player, FAULT.ORDER);
+      return;
+    }
+    this.takeTurn(player, slot);
+    this.bounces = 0;
+    this.netTouched = false;
+  }
+
+  onTableBounce(position, velocity) {
+    // only count the ball coming down on the table top, not the contacts right
+    // after the bounce or the ball touching the edges from the outside. the
+    // ball sinks into the table a little on contact, so don't check its height
+    if (!this.live || velocity.y >= 0 || !this.isOverTable(position)) return;
+    const side = position.z > this.config.tablePositionZ ? PLAYER.SELF : PLAYER.OPPONENT;
+    if (this.serving) {
+      this.onServeBounce(side, position);
+      return;
+    }
+    if (side === this.lastHitter) {
+      this.award(this.lastHitter, FAULT.OWN_SIDE);
+      return;
+    }
+    this.bounces += 1;
+    if (this.bounces > 1) {
+      this.award(side, FAULT.DOUBLE_BOUNCE);
+    }
+  }
+
+  onServeBounce(side, position) {
+    const server = this.lastHitter;
+    if (this.tossed || (side !== server && !this.serveBounced)) {
+      // the toss landed on the table or the serve went straight over
+      this.award(server, FAULT.SERVE);
+    } else if (this.next && !isRightHalf(side, position)) {
+      // doubles serves go diagonally from right half to right half
+      this.award(server, FAULT.SERVE);
+    } else if (side === server) {
+      if (this.serveBounced) {
+        this.award(server, FAULT.OWN_SIDE);
+      }
+      this.serveBounced = true;
+    } else if (this.netTouched) {
+      this.award(null, FAULT.LET);
+    } else {
+      // a good serve, from here on it's a normal rally
+      this.serving = false;
+      this.bounces = 1;
+    }
+  }
+
+  onNetHit() {
+    if (!this.live) return;
+    this.netTouched = true;
+  }
+
+  update(position, velocity) {
+    // points are emitted here instead of right where they are decided, so the
+    // ball isn't reset in the middle of a physics step
+    if (this.point) {
+      const point = this.point;
+      this.point = null;
+      this.emitter.emit(EVENT.POINT, point);
+      return;
+    }
+    if (!this.live) return;
+    if (this.bounces === 0 && position.y < this.config.tableHeight && velocity.y < 0) {
+      // falling below the table top the ball can't land on the table anymore
+      this.endRally();
+    } else if (position.y < this.config.ballRadius) {
+      // the ball hit the floor
+      this.endRally();
+    }
+  }
+
+  endRally() {
+    // the ball is dead, if it landed on the receivers side the receiver
+    // didn't return it, otherwise the hitter missed the table
+    if (!this.live) return;
+    if (this.serving) {
+      this.award(this.lastHitter, FAULT.SERVE);
+    } else if (this.bounces > 0) {
+      this.award(other(this.lastHitter), FAULT.MISS);
+    } else {
+      this.award(this.lastHitter, this.netTouched ? FAULT.NET : FAULT.OUT);
+    }
+  }
+
+  award(loser, fault) {
+    // a let has neither winner nor loser
+    this.live = false;
+    this.point = {
+      winner: loser && other(loser),
+      loser,
+      fault,
+    };
+  }
+
+  getState() {
+    return {
+      live: this.live,
+      lastHitter: this.lastHitter,
+      bounces: this.bounces,
+      netTouched: this.netTouched,
+      tossed: this.tossed,
+      serving: this.serving,
+      serveBounced: this.serveBounced,
+      lastSlot: this.lastSlot,
+      next: this.next,
+    };
+  }
+
+  setState(state, mirrored) {
+    // take over the rally as another player sees it, see getState. unless
+    // it's the partner in doubles that player is at the other end
+    Object.assign(this, state);
+    this.point = null;
+    if (!mirrored) {
+      return;
+    }
+    this.lastHitter = state.lastHitter && other(state.lastHitter);
+    this.next = state.next && {
+      [PLAYER.SELF]: state.next[PLAYER.OPPONENT],
+      [PLAYER.OPPONENT]: state.next[PLAYER.SELF],
+    };
+  }
+
+  isOverTable(position) {
+    return Math.abs(position.x) < this.config.tableWidth / 2
+      && Math.abs(position.z - this.config.tablePositionZ) < this.config.tableDepth / 2;
+  }
+}
@@ -33,15 +33,19 @@ import OBJLoader from './three/OBJLoader';
 import VREffect from './three/VREffect';
 import VRControls from './three/VRControls';
 
-import {STATE, MODE, INITIAL_CONFIG, EVENT, CONTROLMODE} from './constants';
+import {STATE, MODE, INITIAL_CONFIG, EVENT, CONTROLMODE, PLAYER} from './constants';
+import {SERVER_SLOT} from './protocol';
 import {cap, mirrorPosition, mirrorVelocity, setTransparency} from './util/helpers';
 import VR_MODES from './webvr-manager/modes';
 import Physics from './physics';
+import AIOpponent from './ai-opponent';
+import Rules from './rules';
 import Hud from './hud';
 import SoundManager from './sound-manager';
 import WebVRManager from './webvr-manager';
 import Util from './webvr-manager/util';
 import Time from './util/time';
+import Snapshots from './util/snapshots';
 
 import Table from './models/table';
 import Net from './models/net';
@@ -51,6 +55,13 @@ import setupPaddles from './models/paddle';
 
 const DEBUG_MODE = false;
 
+// where spectators watch from, beside the table at the height of the net
+const BROADCAST_OFFSET = new Vector3(2.2, 0.9, 0);
+// ms of our own ball simulation we keep to compare with the owner of the
+// ball, and how far apart in its flight a state of the owner and ours may be
+const BALL_HISTORY_DURATION = 2000;
+const BALL_HISTORY_TOLERANCE = 50;
+
 /* global CannonDebugRenderer, Power1, Power2, Power3, Power4 */
 
 export default class Scene {
@@ -66,6 +77,14 @@ export default class Scene {
       opponent: 0,
       lives: this.config.startLives,
       highest: 0,
+      // games won in a match and the points of every finished game
+      games: {
+        self: 0,
+        opponent: 0,
+      },
+      history: [],
+      // the player who gave up the match, see forfeit
+      forfeit: null,
     };
 
     // THREE.JS
@@ -100,21 +119,42 @@ export default class Scene {
     this.physicsDebugRenderer = null;
     this.physicsTimeStep = 1000;
     this.physics = new Physics(this.config, this.emitter);
+    // decides who wins a rally in multiplayer and against the ai
+    this.rules = new Rules(this.config, this.emitter);
+    // who serves the first rally of a game, the service order follows from it
+    this.firstServer = PLAYER.SELF;
 
     // MULTIPLAYER
-    // resetBallTimeout is used to reset the ball after it landed on the floor
+    // the number of the last point all players agree on and the players that
+    // acknowledged the point we decided last, see checkScore
+    this.agreedPoint = 0;
+    this.pointAcks = null;
+    // {player, stateBefore, interval} while we wait for a lost connection to
+    // come back, see onConnectionLost
+    this.connectionLost = null;
+    // spectators see the host at the near end of the table and the guest at
+    // the far end, this.paddle is the host, see getPaddle
+    this.isSpectator = false;
+    // resetBallTimeout is used to reset the ball after it landed on the floor.
+    // in multiplayer and against the ai the rules decide the point as soon as
+    // possible, the timeout only ends rallies that got stuck
     this.resetBallTimeout = null;
-    // for determining whose point it is
-    this.ballHasHitEnemyTable = false;
+    // AI
+    // computer opponent, moves paddleOpponent when playing against the ai
+    this.aiOpponent = null;
     // changes to 3000 in multiplayer mode, because it takes the ball longer to
     // travel to the other side of the table than just the folded table half
     this.resetTimeoutDuration = 1500;
-    // used to coordinate restarts
+    // used to coordinate restarts, in doubles everybody else has to request
+    // one, see restartRequests
     this.playerRequestedRestart = false;
     this.opponentRequestedRestart = false;
-    // used to coordinate countdowns
+    this.restartRequests = [];
+    // used to coordinate countdowns, in doubles the host waits for the
+    // guests in readyPlayers and then starts the countdown for everybody
     this.playerRequestedCountdown = false;
     this.opponentRequestedCountdown = false;
+    this.readyPlayers = [];
     // used to animate the ball from the position
     // where it should be to the position that was received over the wire
     this.ballInterpolationAlpha = 0;
@@ -129,6 +169,14 @@ export default class Scene {
     // is according to the controls, so we can interpolate between that and the
     // hit position
     this.ghostPaddlePosition = new Vector3();
+    // positions of the paddle according to the controls over the last few
+    // frames and the resulting velocity in m/s. the swing decides how hard
+    // the ball is hit and how much spin it gets
+    this.paddleHistory = [];
+    this.paddleVelocity = new Vector3();
+    // rotation of the paddle if the player didn't tilt the face, the
+    // difference to the actual rotation decides where the ball goes
+    this.neutralPaddleRotation = new Euler();
     // so the paddle doesn't repeatedly hit the ball during the animation
     this.hitAvailable = true;
     // for crazy mode
@@ -147,6 +195,11 @@ export default class Scene {
       x: 0,
       y: 0,
     };
+    // extra rotation of the paddle face around the x axis set with the mouse
+    // wheel. positive values open the face for lobs, negative values close
+    // it. holding shift closes it all the way for a smash
+    this.paddleTilt = 0;
+    this.smashKeyPressed = false;
     this.isMobile = Util.isMobile();
 
     // store fps for reducing image quality if too low
@@ -165,6 +218,20 @@ export default class Scene {
     this.trailEnabled = true;
     // count the frames
     this.frameNumber = 0;
+    // when we last sent our paddle and the received paddles of the other
+    // players by their slots, see updateRemotePaddles
+    this.lastMoveSent = 0;
+    this.paddleSnapshots = {};
+    // the slot of the player that put the ball on its way last, it tells
+    // everybody else where the ball is, see syncBall. the age of the ball is
+    // the simulated time in ms since then, the history our own simulation
+    this.ballOwner = null;
+    this.ballAge = 0;
+    this.ballHistory = [];
+    this.lastBallSync = 0;
+    // true once an authoritative server sent us its ball, from then on only
+    // the server corrects the ball, see authority.js
+    this.ballAuthority = false;
     // first frame after tab became active again, when tab is in background the
     // framerate drops so we have to ignore that in the fps counter
     this.firstActiveFrame = 0;
@@ -209,9 +276,12 @@ export default class Scene {
       Promise.all([
         setupPaddles(this.objLoader, this.config, this.scene),
         this.hud.setup(),
-      ]).then(([{paddle, paddleOpponent}]) => {
+      ]).then(([{paddle, paddleOpponent, paddlePartner, paddleOpponentPartner}]) => {
         this.paddle = paddle;
         this.paddleOpponent = paddleOpponent;
+        this.paddlePartner = paddlePartner;
+        this.paddleOpponentPartner = paddleOpponentPartner;
+        this.aiOpponent = new AIOpponent(this.config, this.physics, this.paddleOpponent);
         this.paddle.position.copy(this.computePaddlePosition() || new Vector3());
         this.ghostPaddlePosition.copy(this.paddle.position);
         resolve('loaded');
@@ -225,6 +295,8 @@ export default class Scene {
   setupEventListeners() {
     this.emitter.on(EVENT.GAME_OVER, this.onGameOver.bind(this));
     this.emitter.on(EVENT.BALL_TABLE_COLLISION, this.onBallTableCollision.bind(this));
+    this.emitter.on(EVENT.POINT, this.onPoint.bind(this));
+    this.emitter.on(EVENT.CONNECTION_LOST, this.onConnectionLost.bind(this));
     this.emitter.on(EVENT.RESTART_BUTTON_PRESSED, this.onRestartButtonPressed.bind(this));
     this.emitter.on(EVENT.TOGGLE_RAINBOW_MODE, () => {
       if (this.datShitCray) {
@@ -241,10 +313,12 @@ export default class Scene {
       }
     });
     this.emitter.on(EVENT.BALL_NET_COLLISION, () => {
+      this.rules.onNetHit();
       this.sound.playUI('net');
     });
 
     this.renderer.domElement.addEventListener('mousemove', this.onMouseMove.bind(this), false);
+    this.renderer.domElement.addEventListener('wheel', this.onMouseWheel.bind(this), false);
     document.addEventListener('touchstart', e => {
       if (this.config.state !== STATE.GAME_OVER) {
         return;
@@ -280,6 +354,14 @@ export default class Scene {
         || this.config.state === STATE.GAME_OVER)) {
         this.emitter.emit(EVENT.TOGGLE_RAINBOW_MODE);
       }
+      if (e.keyCode === 16) {
+        this.smashKeyPressed = true;
+      }
+    });
+    $(document).on('keyup', e => {
+      if (e.keyCode === 16) {
+        this.smashKeyPressed = false;
+      }
     });
     $(window).on('resize', this.onResize.bind(this));
     $(window).on('vrdisplaypresentchange', this.onResize.bind(this));
@@ -320,17 +402,28 @@ export default class Scene {
     if (this.hitTween && this.hitTween.isActive()) {
       return;
     }
-    this.physics.onBallPaddleCollision({body: this.physics.ball, target: this.paddle});
+    this.physics.onBallPaddleCollision({body: this.physics.ball, target: this.paddle}, {
+      velocity: this.paddleVelocity,
+      normal: new Vector3(0, 0, -1).applyQuaternion(this.paddle.quaternion),
+      neutralNormal: new Vector3(0, 0, -1).applyEuler(this.neutralPaddleRotation),
+      influence: this.getSwingInfluence(),
+      serve: this.rules.isTossed(PLAYER.SELF),
+    });
     this.ballHitAnimation();
     this.haloAnimation(point);
     this.ballPositionDifference = null;
     this.restartPingpongTimeout();
-    this.ballHasHitEnemyTable = false;
+    this.rules.onHit(PLAYER.SELF, point, this.getSlot());
     this.sound.paddle(point);
     if (this.config.mode === MODE.SINGLEPLAYER) {
       return;
     }
+    if (this.config.mode === MODE.AI) {
+      this.aiOpponent.onPlayerHit();
+      return;
+    }
     this.slowdownBall();
+    this.setBallOwner(this.getSlot());
     this.communication.sendHit({
       x: point.x,
       y: point.y,
@@ -339,9 +432,33 @@ export default class Scene {
       x: this.physics.ball.velocity.x,
       y: this.physics.ball.velocity.y,
       z: this.physics.ball.velocity.z,
+    }, {
+      x: this.physics.ball.angularVelocity.x,
+      y: this.physics.ball.angularVelocity.y,
+      z: this.physics.ball.angularVelocity.z,
     });
   }
 
+  onAIOpponentHit() {
+    this.aiOpponent.hit();
+    this.haloAnimation(this.physics.ball.position);
+    this.sound.paddle(this.physics.ball.position);
+    this.restartPingpongTimeout();
+    this.rules.onHit(PLAYER.OPPONENT, this.physics.ball.position);
+  }
+
+  getSwingInfluence() {
+    // the less precise the controls, the more we help the player with the
+    // assisted shot
+    if (this.isMobile) {
+      return this.config.swingInfluenceMobile;
+    }
+    if (this.controlMode === CONTROLMODE.VR) {
+      return this.config.swingInfluenceVR;
+    }
+    return this.config.swingInfluenceMouse;
+  }
+
   onBallTableCollision(body, target) {
     this.sound.table(body.position, this.physics.ball.velocity);
     // eslint-disable-next-line
@@ -350,26 +467,267 @@ export default class Scene {
       this.hud.scoreDisplay.setSelfScore(this.score.self);
     }
     // eslint-disable-next-line
-    if (target._name === 'table-2-player' && body.position.z < this.config.tablePositionZ) {
-      this.ballHasHitEnemyTable = true;
+    if (target._name === 'table-2-player') {
+      this.rules.onTableBounce(body.position, body.velocity);
+    }
+  }
+
+  onPoint(point) {
+    // both clients follow the rally in multiplayer, but only the one that
+    // touched the ball last decides it and tells the other one with a miss
+    if (this.config.mode === MODE.SINGLEPLAYER
+      || (this.config.mode === MODE.MULTIPLAYER && !this.isDecider())) {
+      return;
+    }
+    this.ballPath = null;
+    this.physicsTimeStep = 1000;
+    // a let has no winner, the serve is simply repeated
+    if (point.winner) {
+      this.addPoint(point.winner);
+    }
+    if (this.config.mode === MODE.AI) {
+      this.aiOpponent.reset();
+    }
+    if (this.rules.isGameOver(this.score)) {
+      this.endGame(true);
+    } else {
+      this.serve(this.rules.getServer(this.score, this.firstServer));
+    }
+    if (this.config.mode === MODE.AI) {
+      return;
+    }
+
+    this.sendBall({
+      winner: point.winner,
+      fault: point.fault,
+    });
+  }
+
+  sendBall(outcome, isInit = false) {
+    // tell the opponent where we put the ball for the next serve
+    this.setBallOwner(this.getSlot());
+    this.communication.sendMiss({
+      x: this.physics.ball.position.x,
+      y: this.physics.ball.position.y,
+      z: this.physics.ball.position.z,
+    }, {
+      x: this.physics.ball.velocity.x,
+      y: this.physics.ball.velocity.y,
+      z: this.physics.ball.velocity.z,
+    }, outcome, isInit, {
+      number: this.getPointNumber(),
+      self: this.score.self,
+      opponent: this.score.opponent,
+      games: this.score.games,
+    });
+    this.pointAcks = {number: this.getPointNumber(), players: []};
+  }
+
+  getPointNumber() {
+    // points played in the match so far
+    return this.score.history.reduce((sum, game) => (
+      sum + game.self + game.opponent
+    ), this.score.self + this.score.opponent);
+  }
+
+  checkScore(data) {
+    // the player that decided a point proposes the score, everybody else
+    // tells whether they count the same. the score is from the point of
+    // view of the sender
+    const flipped = !this.isSameEnd(data.player);
+    const self = flipped ? this.score.opponent : this.score.self;
+    const opponent = flipped ? this.score.self : this.score.opponent;
+    const games = {
+      self: flipped ? this.score.games.opponent : this.score.games.self,
+      opponent: flipped ? this.score.games.self : this.score.games.opponent,
+    };
+    const agreed = data.score.number === this.getPointNumber()
+      && data.score.self === self
+      && data.score.opponent === opponent
+      && data.score.games.self === games.self
+      && data.score.games.opponent === games.opponent;
+    this.communication.sendPointAck(data.score.number, agreed);
+    if (agreed) {
+      this.agreedPoint = data.score.number;
+    } else {
+      this.onScoreDisputed();
+    }
+  }
+
+  onReceivedPointAck(data) {
+    if (!data.agreed) {
+      this.onScoreDisputed();
+      return;
+    }
+    if (!this.pointAcks || this.pointAcks.number !== data.number) {
+      return;
+    }
+    if (this.pointAcks.players.indexOf(data.player) === -1) {
+      this.pointAcks.players.push(data.player);
+    }
+    if (this.pointAcks.players.length === this.getPlayerCount() - 1) {
+      this.agreedPoint = data.number;
+      this.pointAcks = null;
+    }
+  }
+
+  onScoreDisputed() {
+    // somebody counts differently, the score of the host counts for everyone
+    if (!this.communication.isHost) {
+      return;
+    }
+    console.warn('score disputed, sending ours');
+    this.agreedPoint = this.getPointNumber();
+    this.communication.sendScore({
+      number: this.agreedPoint,
+      self: this.score.self,
+      opponent: this.score.opponent,
+      games: this.score.games,
+      history: this.score.history,
+    });
+  }
+
+  onReceivedScore(data) {
+    // take over the score of the host, or of the server if it has one
+    const flip = side => {
+      return {
+        self: this.isSameEnd(data.player) ? side.self : side.opponent,
+        opponent: this.isSameEnd(data.player) ? side.opponent : side.self,
+      };
+    };
+    Object.assign(this.score, flip(data));
+    Object.assign(this.score.games, flip(data.games));
+    this.score.history = data.history.map(flip);
+    this.agreedPoint = data.number;
+    this.pointAcks = null;
+    this.hud.scoreDisplay.setSelfScore(this.score.self);
+    this.hud.scoreDisplay.setOpponentScore(this.score.opponent);
+    this.hud.scoreDisplay.setGames(this.score.games);
+    this.hud.scoreDisplay.setServer(this.rules.getServer(this.score, this.firstServer));
+    if (this.rules.isMatchOver(this.score.games) && this.config.state !== STATE.GAME_OVER) {
+      this.emitter.emit(EVENT.GAME_OVER, this.score, this.config.mode);
+    }
+  }
+
+  addPoint(winner) {
+    if (winner === PLAYER.SELF) {
+      this.score.self += 1;
+      this.tableBlinkAnimation('table-self');
+      this.hud.scoreDisplay.setSelfScore(this.score.self);
+      this.sound.playUI('point');
+    } else {
+      this.score.opponent += 1;
+      this.tableBlinkAnimation('table-opponent');
+      this.hud.scoreDisplay.setOpponentScore(this.score.opponent);
+      this.sound.playUI('miss');
+    }
+  }
+
+  endGame(decided) {
+    // decided is true on the client that decided the last point of the game
+    const won = this.score.self > this.score.opponent;
+    this.score.history.push({
+      self: this.score.self,
+      opponent: this.score.opponent,
+    });
+    if (won) {
+      this.score.games.self += 1;
+    } else {
+      this.score.games.opponent += 1;
+    }
+    this.hud.scoreDisplay.setGames(this.score.games);
+    if (this.rules.isMatchOver(this.score.games)) {
+      this.emitter.emit(EVENT.GAME_OVER, this.score, this.config.mode);
+      return;
+    }
+
+    // everybody sees themselves at the near end of the table, so changing
+    // ends is just a break. the player who received first in the last game
+    // serves first in the next one
+    const last = this.score.history[this.score.history.length - 1];
+    this.rules.stop();
+    this.time.clearTimeout(this.resetBallTimeout);
+    this.ball.visible = false;
+    this.firstServer = this.firstServer === PLAYER.SELF ? PLAYER.OPPONENT : PLAYER.SELF;
+    this.score.self = 0;
+    this.score.opponent = 0;
+    this.hud.scoreDisplay.setSelfScore(0);
+    this.hud.scoreDisplay.setOpponentScore(0);
+    this.hud.message.setMessage([
+      `${won ? 'you won' : 'you lost'} game ${this.score.history.length}`,
+      `${last.self} - ${last.opponent}`,
+      'change ends',
+    ]);
+    this.hud.message.showMessage();
+    this.showOverlay();
+    this.time.setTimeout(() => {
+      this.hud.message.hideMessage();
+      this.hideOverlay();
+      if (!decided) {
+        // the opponent tosses the ball and sends it along, see onReceivedMiss
+        return;
+      }
+      this.ball.visible = true;
+      this.serve(this.firstServer);
+      if (this.config.mode === MODE.MULTIPLAYER) {
+        // nobody scored, this only puts the ball in place
+        this.sendBall({winner: null, fault: null});
+      }
+    }, this.config.changeEndsDuration);
+  }
+
+  serve(server) {
+    // the server tosses the ball up from its paddle and has to hit it on the
+    // way down. in multiplayer this places the ball at the opponents paddle
+    // as we see it, the opponent gets it with the miss
+    let paddle = server === PLAYER.SELF ? this.paddle : this.paddleOpponent;
+    if (this.config.doubles) {
+      paddle = this.getPaddle(this.getServeOrder().server);
+    }
+    this.physics.tossBall(paddle.position);
+    this.startRally(server);
+  }
+
+  getServeOrder() {
+    return this.config.doubles ? this.rules.getServeOrder(this.score, this.firstServer) : null;
+  }
+
+  startRally(server) {
+    this.rules.startRally(server, this.getServeOrder());
+    this.hud.scoreDisplay.setServer(server);
+    if (this.config.mode === MODE.AI && server === PLAYER.OPPONENT) {
+      this.aiOpponent.startServe();
+    }
+    if (this.isDecider() || this.config.mode === MODE.AI) {
+      this.restartPingpongTimeout();
+    } else {
+      // the opponent decides this rally
+      this.time.clearTimeout(this.resetBallTimeout);
     }
   }
 
   onGameOver() {
     this.ballPath = null;
     this.sound.playLoop('bass-pad-synth');
-    this.ball.visible = false;
+    this.clearConnectionLost();
+    if (this.ball) {
+      this.ball.visible = false;
+    }
     this.paddle.visible = false;
-    this.paddleOpponent.visible = false;
+    this.setRemotePaddlesVisible(false);
     this.config.state = STATE.GAME_OVER;
     this.time.clearTimeout(this.resetBallTimeout);
+    this.rules.stop();
     this.crosshair.visible = true;
     if (this.config.mode === MODE.SINGLEPLAYER) {
       this.hud.message.gameOver(this.score);
       this.sound.playUI('win');
     } else {
       this.hud.message.gameOver(this.score);
-      if (this.score.self > this.score.opponent) {
+      const won = this.score.forfeit
+        ? this.score.forfeit === PLAYER.OPPONENT
+        : this.score.self > this.score.opponent;
+      if (won) {
         this.sound.playUI('win');
       } else {
         this.sound.playUI('lose');
@@ -417,6 +775,21 @@ export default class Scene {
     }
   }
 
+  onMouseWheel(e) {
+    if (this.config.state !== STATE.PLAYING
+      && this.config.state !== STATE.COUNTDOWN) {
+      return;
+    }
+    e.preventDefault();
+    // scrolling up opens the face, scrolling down closes it. only the
+    // direction counts, browsers disagree on the units of deltaY
+    this.paddleTilt = cap(
+      this.paddleTilt - Math.sign(e.deltaY) * this.config.paddleTiltStep,
+      -this.config.maxPaddleTilt,
+      this.config.maxPaddleTilt
+    );
+  }
+
   onPointerLockChange() {
     if (document.pointerLockElement === this.renderer.domElement
       || document.mozPointerLockElement === this.renderer.domElement) {
@@ -573,6 +946,12 @@ export default class Scene {
         this.communication.isHost ? 0x1c1a54 : 0x194a51
       );
       this.showOverlay();
+    } else if (this.config.mode === MODE.AI) {
+      this.renderer.setClearColor(this.config.colors.PINK_CLEARCOLOR, 1);
+      table1.material.color.set(this.config.colors.PINK_TABLE);
+      table2.material.color.set(this.config.colors.PINK_TABLE);
+      this.aiOpponent.reset();
+      this.showOverlay();
     } else {
       const upwardsTableGroup = this.scene.getObjectByName('upwardsTableGroup');
       upwardsTableGroup.visible = true;
@@ -603,10 +982,23 @@ export default class Scene {
       this.setupVRControls();
       if (this.config.mode === MODE.SINGLEPLAYER) {
         this.countdown();
-      } else {
+      } else if (this.config.mode === MODE.AI) {
         this.paddleOpponent.visible = true;
+        this.countdown();
+      } else if (this.isSpectator) {
+        this.setRemotePaddlesVisible(true);
+        this.hud.scoreDisplay.show(true);
+        this.hideOverlay();
+        if (!this.ball) {
+          // the ball comes with the next hit or serve of the players
+          this.config.state = STATE.WAITING;
+        }
+      } else {
+        this.setRemotePaddlesVisible(true);
         this.playerRequestedCountdown = true;
-        this.communication.sendRequestCountdown();
+        if (!this.config.doubles || !this.communication.isHost) {
+          this.communication.sendRequestCountdown();
+        }
         this.requestCountdown();
         this.config.state = STATE.WAITING;
       }
@@ -640,6 +1032,16 @@ export default class Scene {
   }
 
   requestCountdown() {
+    if (this.config.doubles && this.communication.isHost) {
+      if (this.playerRequestedCountdown && !this.opponentRequestedCountdown
+        && this.readyPlayers.length === this.getPlayerCount() - 1) {
+        // everybody is ready, start the countdown for the guests too
+        this.opponentRequestedCountdown = true;
+        this.communication.sendRequestCountdown();
+        this.countdown();
+      }
+      return;
+    }
     if (this.playerRequestedCountdown && this.opponentRequestedCountdown) {
       this.countdown();
     }
@@ -670,9 +1072,17 @@ export default class Scene {
     // TODO why is this neccessary
     $('.opponent-joined').css('display', 'none');
     this.paddle.visible = true;
-    this.paddleOpponent.visible = this.config.mode === MODE.MULTIPLAYER;
+    this.paddleOpponent.visible = this.config.mode !== MODE.SINGLEPLAYER;
+    if (this.config.mode === MODE.MULTIPLAYER) {
+      this.setRemotePaddlesVisible(true);
+      this.rules.setSlot(this.getSlot());
+    }
+    // the host serves first, against the ai the player does
+    this.firstServer = this.config.mode === MODE.MULTIPLAYER && !this.isSameEnd(1)
+      ? PLAYER.OPPONENT
+      : PLAYER.SELF;
     this.sound.playLoop('bass');
-    this.hud.scoreDisplay.show();
+    this.hud.scoreDisplay.show(this.config.mode !== MODE.SINGLEPLAYER);
     this.hideOverlay();
 
     // countdown from 3, start game afterwards
@@ -692,19 +1102,16 @@ export default class Scene {
           if (this.config.mode === MODE.SINGLEPLAYER) {
             this.addBall();
             this.physics.initBallPosition();
+          } else if (this.config.mode === MODE.AI) {
+            this.addBall();
+            this.aiOpponent.reset();
+            this.serve(this.firstServer);
           } else if (this.config.mode === MODE.MULTIPLAYER
-              && !this.communication.isHost) {
+              && this.getSlot() === 2) {
             this.addBall();
+            this.serve(this.firstServer);
             // if multiplayer, also send the other player a miss so the ball is synced
-            this.communication.sendMiss({
-              x: this.physics.ball.position.x,
-              y: this.physics.ball.position.y,
-              z: this.physics.ball.position.z,
-            }, {
-              x: this.physics.ball.velocity.x,
-              y: this.physics.ball.velocity.y,
-              z: this.physics.ball.velocity.z,
-            }, true, true);
+            this.sendBall(null, true);
           }
         }
       }, 1000);
@@ -715,7 +1122,8 @@ export default class Scene {
     this.crosshair.visible = false;
     this.physics.speed = 1;
     this.resetScore();
-    if (this.config.mode === MODE.SINGLEPLAYER) {
+    if (this.config.mode === MODE.SINGLEPLAYER
+      || this.config.mode === MODE.AI) {
       this.countdown();
       this.emitter.emit(EVENT.RESTART_GAME, this.score);
       return;
@@ -727,6 +1135,7 @@ export default class Scene {
       // reset
       this.playerRequestedRestart = false;
       this.opponentRequestedRestart = false;
+      this.restartRequests = [];
       this.countdown();
     }
   }
@@ -736,12 +1145,30 @@ export default class Scene {
     this.score.opponent = 0;
     this.score.highest = 0;
     this.score.lives = this.config.startLives;
+    this.score.games.self = 0;
+    this.score.games.opponent = 0;
+    this.score.history = [];
+    this.score.forfeit = null;
+    this.agreedPoint = 0;
+    this.pointAcks = null;
     // propagate to HUD
     this.hud.scoreDisplay.setSelfScore(0);
     this.hud.scoreDisplay.setOpponentScore(0);
+    this.hud.scoreDisplay.setGames(this.score.games);
     this.hud.scoreDisplay.setLives(this.score.lives);
   }
 
+  applySettings(settings) {
+    // both players have to play with the same settings, the host chose them
+    // and the guest got them when joining, see MATCH_SETTINGS
+    Object.assign(this.config, settings);
+    this.physics.updateGravity();
+    this.score.lives = this.config.startLives;
+    this.hud.scoreDisplay.setupLives();
+    this.hud.scoreDisplay.setLives(this.score.lives);
+    this.hud.scoreDisplay.setGames(this.score.games);
+  }
+
   setMultiplayer() {
     // prepare multiplayer mode
     this.config.mode = MODE.MULTIPLAYER;
@@ -759,9 +1186,44 @@ export default class Scene {
       receivedMiss: this.onReceivedMiss.bind(this),
       receivedRestartGame: this.onReceivedRestartGame.bind(this),
       receivedRequestCountdown: this.onReceivedRequestCountdown.bind(this),
+      receivedResume: this.onReceivedResume.bind(this),
+      receivedResumeState: this.onReceivedResumeState.bind(this),
+      receivedBallState: this.onReceivedBallState.bind(this),
+      receivedPointAck: this.onReceivedPointAck.bind(this),
+      receivedScore: this.onReceivedScore.bind(this),
     });
   }
 
+  setSpectator() {
+    // watch a multiplayer room, the table is the same but nobody plays here
+    this.setMultiplayer();
+    this.isSpectator = true;
+    this.communication.setCallbacks({
+      receivedMove: this.onSpectatedMove.bind(this),
+      receivedHit: this.onSpectatedHit.bind(this),
+      receivedMiss: this.onSpectatedMiss.bind(this),
+      receivedBallState: this.onSpectatedBallState.bind(this),
+      receivedPlayerLeft: this.onSpectatedPlayerLeft.bind(this),
+      receivedPlayerPaused: this.onSpectatedPlayerPaused.bind(this),
+      receivedPlayerUnpaused: this.onSpectatedPlayerUnpaused.bind(this),
+      receivedScore: data => {
+        this.setSpectatedScore(data, !this.isSameEnd(data.player));
+      },
+    });
+  }
+
+  setAIOpponent(difficulty) {
+    // prepare a game against the computer on the full table
+    this.config.mode = MODE.AI;
+    this.scene.remove(this.table);
+    this.table = Table(this.scene, this.config);
+    this.resetTimeoutDuration = 2000;
+    this.hud.scoreDisplay.opponentScore.visible = true;
+    this.hud.scoreDisplay.lifeGroup.visible = false;
+    this.net.getObjectByName('net-collider').visible = true;
+    this.aiOpponent.setDifficulty(difficulty);
+  }
+
   setSingleplayer() {
     // prepare singleplayer mode
     this.config.mode = MODE.SINGLEPLAYER;
@@ -773,44 +1235,248 @@ export default class Scene {
     this.scene.getObjectByName('net-collider').visible = false;
   }
 
-  onReceivedMove(move) {
-    // received a move from the opponent,
-    // set his paddle to the position received
-    const pos = mirrorPosition(move.position, this.config.tablePositionZ);
-    const no = {
-      x: this.paddleOpponent.position.x,
-      y: this.paddleOpponent.position.y,
-      z: this.paddleOpponent.position.z,
-      rotationX: this.paddleOpponent.rotation.x,
-      rotationY: this.paddleOpponent.rotation.y,
-      rotationZ: this.paddleOpponent.rotation.z,
+  getSlot() {
+    // spectators see the game from the end of the host
+    return this.isSpectator ? 1 : this.communication.slot;
+  }
+
+  getPlayerCount() {
+    return this.config.doubles ? 4 : 2;
+  }
+
+  isSameEnd(player) {
+    // in doubles the odd and the even slots play together, the server counts
+    // from the end of the host
+    const slot = player === SERVER_SLOT ? 1 : player;
+    return slot % 2 === this.getSlot() % 2;
+  }
+
+  getSide(player) {
+    return this.isSameEnd(player) ? PLAYER.SELF : PLAYER.OPPONENT;
+  }
+
+  getPaddle(player) {
+    // of the other side the lower slot is the opponent, the other one its
+    // partner
+    if (player === this.getSlot()) {
+      return this.paddle;
+    }
+    if (this.isSameEnd(player)) {
+      return this.paddlePartner;
+    }
+    return player <= 2 ? this.paddleOpponent : this.paddleOpponentPartner;
+  }
+
+  setRemotePaddlesVisible(visible) {
+    this.paddleOpponent.visible = visible;
+    this.paddlePartner.visible = visible && this.config.doubles;
+    this.paddleOpponentPartner.visible = visible && this.config.doubles;
+  }
+
+  isDecider() {
+    // whoever touched the ball last decides the rally, in doubles that's one
+    // of the two players of a side
+    return this.rules.lastHitter === PLAYER.SELF
+      && (!this.config.doubles || this.rules.lastSlot === this.getSlot());
+  }
+
+  getMirror(player) {
+    // positions and vectors of the players at the other end of the table are
+    // mirrored across its center
+    if (this.isSameEnd(player)) {
+      return {
+        position: position => position,
+        vector: vector => vector,
+      };
+    }
+    return {
+      position: position => mirrorPosition(position, this.config.tablePositionZ),
+      vector: mirrorVelocity,
     };
-    // show the opponent paddle slightly behind
+  }
+
+  onReceivedMove(move) {
+    // received a move from another player,
+    // set their paddle to the position received
+    this.addMove(move, !this.isSameEnd(move.player));
+  }
+
+  addMove(move, mirrored) {
+    // moves from the other end of the table are mirrored
+    const pos = mirrored
+      ? mirrorPosition(move.position, this.config.tablePositionZ)
+      : move.position;
+    const sign = mirrored ? -1 : 1;
+    if (!this.paddleSnapshots[move.player]) {
+      this.paddleSnapshots[move.player] = new Snapshots(
+        this.config.interpolationDelay,
+        this.config.maxExtrapolation
+      );
+    }
+    // show the paddle slightly behind
     // the actual position to prevent the ball going
     // 'through' it
-    TweenMax.to(no, 0.14, {
-      x: pos.x,
-      y: pos.y,
-      z: pos.z - 0.1,
-      // eslint-disable-next-line
-      rotationX: -move.rotation._x,
-      // eslint-disable-next-line
-      rotationY: move.rotation._y,
-      // eslint-disable-next-line
-      rotationZ: -move.rotation._z,
-      onUpdate: () => {
-        this.paddleOpponent.position.x = no.x;
-        this.paddleOpponent.position.y = no.y;
-        this.paddleOpponent.position.z = no.z;
-        this.paddleOpponent.rotation.x = no.rotationX;
-        this.paddleOpponent.rotation.y = no.rotationY;
-        this.paddleOpponent.rotation.z = no.rotationZ;
-      },
+    this.paddleSnapshots[move.player].add(this.communication.toLocalTime(move.player, move.time), [
+      pos.x,
+      pos.y,
+      pos.z + (sign * 0.1),
+      sign * move.rotation.x,
+      move.rotation.y,
+      sign * move.rotation.z,
+    ]);
+  }
+
+  updateRemotePaddles() {
+    // the paddles of the other players as they were a moment ago, the moves
+    // arrive a latency after they were sent, give or take the jitter
+    const now = Date.now();
+    Object.keys(this.paddleSnapshots).forEach(key => {
+      const player = parseInt(key, 10);
+      const behind = this.communication.getLatency(player) + this.communication.getJitter(player);
+      const values = this.paddleSnapshots[key].sample(now - behind);
+      if (!values) {
+        return;
+      }
+      const paddle = this.getPaddle(player);
+      paddle.position.set(values[0], values[1], values[2]);
+      paddle.rotation.set(values[3], values[4], values[5]);
     });
   }
 
-  onReceivedRestartGame() {
-    this.opponentRequestedRestart = true;
+  onSpectatedMove(move) {
+    // the host plays at the near end of the table
+    this.addMove(move, !this.isSameEnd(move.player));
+  }
+
+  placeSpectatedBall(data) {
+    // like onReceivedHit, only the side of the guest has to be mirrored
+    const mirror = this.getMirror(data.player);
+    const point = mirror.position(data.point);
+    this.physicsTimeStep = 1000;
+    this.ballPositionDifference = null;
+    this.physics.ball.position.copy(point);
+    this.physics.ball.velocity.copy(mirror.vector(data.velocity));
+    this.physics.ball.angularVelocity.copy(mirror.vector(data.spin || {x: 0, y: 0, z: 0}));
+    return point;
+  }
+
+  onSpectatedHit(data) {
+    if (!this.ball) {
+      this.addBall();
+    }
+    const point = this.placeSpectatedBall(data);
+    this.sound.paddle(point);
+    this.haloAnimation(point);
+    this.physics.increaseSpeed();
+  }
+
+  onSpectatedBallState(data) {
+    // the ball of whoever hit it last, or of the server if it owns the ball.
+    // spectators have no ball of their own to compare with, they take it
+    // over and blend from where the ball is shown, see onReceivedBallState
+    const fromServer = data.player === SERVER_SLOT;
+    if (fromServer) {
+      this.ballAuthority = true;
+    }
+    if (!this.ball || (!fromServer && this.ballAuthority)) {
+      return;
+    }
+    // the server sends in the space of the host
+    const mirror = this.getMirror(fromServer ? 1 : data.player);
+    const ball = this.physics.ball;
+    ball.position.copy(mirror.position(data.point));
+    ball.velocity.copy(mirror.vector(data.velocity));
+    ball.angularVelocity.copy(mirror.vector(data.spin));
+    this.ballPositionDifference = new Vector3().subVectors(this.ball.position, ball.position);
+    this.ballInterpolationAlpha = 1;
+    TweenMax.to(this, 0.5, {
+      ease: Power0.easeNone,
+      ballInterpolationAlpha: 0,
+    });
+  }
+
+  onSpectatedMiss(data) {
+    // a point was decided or the ball was put in place for a serve
+    this.physics.speed = 1;
+    if (!this.ball || data.isInit) {
+      this.addBall();
+    }
+    this.placeSpectatedBall(data);
+    this.ball.visible = true;
+    this.hud.message.hideMessage();
+    if (data.outcome && data.outcome.winner) {
+      this.sound.playUI('point');
+    }
+    if (data.score) {
+      this.setSpectatedScore(data.score, !this.isSameEnd(data.player));
+    }
+  }
+
+  setSpectatedScore(score, flipped) {
+    // the score is from the point of view of the player that sent it
+    const gamesBefore = this.score.games.self + this.score.games.opponent;
+    const hostGamesBefore = this.score.games.self;
+    this.score.self = flipped ? score.opponent : score.self;
+    this.score.opponent = flipped ? score.self : score.opponent;
+    this.score.games.self = flipped ? score.games.opponent : score.games.self;
+    this.score.games.opponent = flipped ? score.games.self : score.games.opponent;
+    this.hud.scoreDisplay.setSelfScore(this.score.self);
+    this.hud.scoreDisplay.setOpponentScore(this.score.opponent);
+    this.hud.scoreDisplay.setGames(this.score.games);
+    const games = this.score.games.self + this.score.games.opponent;
+    if (games <= gamesBefore) {
+      return;
+    }
+    // a game is over, the ball is back with the next serve or a restart
+    const winner = `${this.config.doubles ? 'team' : 'player'} ${this.score.games.self > hostGamesBefore ? 1 : 2}`;
+    this.ball.visible = false;
+    this.hud.message.setMessage(this.rules.isMatchOver(this.score.games)
+      ? `${winner} won the match`
+      : `${winner} won game ${games}`);
+    this.hud.message.showMessage();
+  }
+
+  onSpectatedPlayerLeft(player) {
+    this.config.state = STATE.PAUSED;
+    this.hud.message.setMessage(`player ${player} left`);
+    this.hud.message.showMessage();
+  }
+
+  onSpectatedPlayerPaused(player) {
+    if (this.config.state !== STATE.PLAYING) {
+      return;
+    }
+    this.config.state = STATE.PAUSED;
+    this.hud.message.setMessage(`player ${player} paused`);
+    this.hud.message.showMessage();
+  }
+
+  onSpectatedPlayerUnpaused() {
+    if (this.config.state !== STATE.PAUSED) {
+      return;
+    }
+    this.config.state = STATE.PLAYING;
+    this.hud.message.hideMessage();
+  }
+
+  updateBroadcastCamera() {
+    // spectators watch from beside the table, in vr they can look around but
+    // stay in place
+    const center = new Vector3(this.table.position.x, this.config.tableHeight, this.table.position.z);
+    if (this.controls && this.controlMode === CONTROLMODE.VR) {
+      this.controls.update();
+      this.camera.position.copy(center).add(BROADCAST_OFFSET);
+      return;
+    }
+    this.camera.position.copy(center).add(BROADCAST_OFFSET);
+    this.camera.lookAt(center);
+  }
+
+  onReceivedRestartGame(player) {
+    if (this.restartRequests.indexOf(player) === -1) {
+      this.restartRequests.push(player);
+    }
+    this.opponentRequestedRestart = this.restartRequests.length === this.getPlayerCount() - 1;
     // try to restart game, only does if player also requested restart
     this.restartGame();
   }
@@ -824,15 +1490,20 @@ export default class Scene {
     } else {
       this.sound.paddle(data.point);
     }
+    this.setBallOwner(data.player);
+    // received vectors are in the space of the other player, unless it's
+    // the partner in doubles
+    const mirror = this.getMirror(data.player);
+    const point = mirror.position(data.point);
     if (!wasMiss) {
-      this.haloAnimation(mirrorPosition(data.point, this.config.tablePositionZ));
+      this.haloAnimation(point);
       // the received position will sometimes be slightly off from the position
       // of this players ball due to changes in latency. save the difference and
       // interpolate it until the ball is at our side again. this way the user
       // shouldnt notice any hard position changes
       this.ballPositionDifference = new Vector3().subVectors(
         this.physics.ball.position,
-        mirrorPosition(data.point, this.config.tablePositionZ)
+        point
       );
       this.ballInterpolationAlpha = 1;
       TweenMax.to(this, 0.5, {
@@ -840,51 +1511,273 @@ export default class Scene {
         ballInterpolationAlpha: 0,
       });
       this.physics.increaseSpeed();
+      this.rules.onHit(this.getSide(data.player), point, data.player);
     }
     this.physicsTimeStep = 1000;
-    // received vectors are in the other users space
-    // invert x and z velocity and mirror the point across the center of the table
-    this.physics.ball.position.copy(mirrorPosition(data.point, this.config.tablePositionZ));
-    this.physics.ball.velocity.copy(mirrorVelocity(data.velocity));
+    // mirroring inverts x and z velocity and mirrors the point across the
+    // center of the table
+    this.physics.ball.position.copy(point);
+    this.physics.ball.velocity.copy(mirror.vector(data.velocity));
+    // spin is an axial vector, but mirroring across the table center is a
+    // rotation around the y axis so it transforms just like the velocity
+    if (data.spin) {
+      this.physics.ball.angularVelocity.copy(mirror.vector(data.spin));
+    } else {
+      this.physics.ball.angularVelocity.set(0, 0, 0);
+    }
+  }
+
+  setBallOwner(player) {
+    this.ballOwner = player;
+    this.ballAge = 0;
+    this.ballHistory = [];
+  }
+
+  syncBall(delta) {
+    // the owner of the ball tells the others every now and then where it is
+    // in its flight. everybody else keeps a history of its own simulation to
+    // compare, see onReceivedBallState. with an authoritative server
+    // everybody compares to the ball of the server
+    if (!this.ballOwner) {
+      return;
+    }
+    const ball = this.physics.ball;
+    this.ballAge += (delta / this.physicsTimeStep) * 1000;
+    if (this.ballOwner === this.getSlot() && !this.ballAuthority) {
+      const now = Date.now();
+      if (now - this.lastBallSync >= this.config.ballSyncInterval) {
+        this.lastBallSync = now;
+        this.communication.sendBallState({
+          x: ball.position.x,
+          y: ball.position.y,
+          z: ball.position.z,
+        }, {
+          x: ball.velocity.x,
+          y: ball.velocity.y,
+          z: ball.velocity.z,
+        }, {
+          x: ball.angularVelocity.x,
+          y: ball.angularVelocity.y,
+          z: ball.angularVelocity.z,
+        }, this.ballAge);
+      }
+      return;
+    }
+    this.ballHistory.push({
+      age: this.ballAge,
+      position: new Vector3().copy(ball.position),
+      velocity: new Vector3().copy(ball.velocity),
+    });
+    while (this.ballHistory[0].age < this.ballAge - BALL_HISTORY_DURATION) {
+      this.ballHistory.shift();
+    }
+  }
+
+  onReceivedBallState(data) {
+    const fromServer = data.player === SERVER_SLOT;
+    if (fromServer) {
+      this.ballAuthority = true;
+    }
+    if (this.config.state !== STATE.PLAYING
+      || (!fromServer && (this.ballAuthority || data.player !== this.ballOwner))) {
+      return;
+    }
+    // where our own ball was at the same point of its flight
+    const own = this.ballHistory.reduce((best, entry) => (
+      !best || Math.abs(entry.age - data.age) < Math.abs(best.age - data.age) ? entry : best
+    ), null);
+    if (!own || Math.abs(own.age - data.age) > BALL_HISTORY_TOLERANCE) {
+      return;
+    }
+    // the server sends in the space of the host
+    const mirror = this.getMirror(fromServer ? 1 : data.player);
+    const offset = new Vector3().subVectors(mirror.position(data.point), own.position);
+    if (offset.length() < this.config.ballSyncTolerance) {
+      return;
+    }
+    const velocityOffset = new Vector3().subVectors(mirror.vector(data.velocity), own.velocity);
+    const ball = this.physics.ball;
+    ball.position.set(ball.position.x + offset.x, ball.position.y + offset.y, ball.position.z + offset.z);
+    ball.velocity.set(
+      ball.velocity.x + velocityOffset.x,
+      ball.velocity.y + velocityOffset.y,
+      ball.velocity.z + velocityOffset.z
+    );
+    ball.angularVelocity.copy(mirror.vector(data.spin));
+    // blend over from where the ball is shown, same as for a hit
+    this.ballPositionDifference = new Vector3().subVectors(this.ball.position, ball.position);
+    this.ballInterpolationAlpha = 1;
+    TweenMax.to(this, 0.5, {
+      ease: Power0.easeNone,
+      ballInterpolationAlpha: 0,
+    });
+    // the history doesn't match the corrected ball anymore
+    this.ballHistory = [];
   }
 
   onReceivedMiss(data) {
     this.physics.speed = 1;
     this.ballPositionDifference = null;
     this.time.clearTimeout(this.resetBallTimeout);
-    // opponent missed, update player score
-    // and set game to be over if the score is high enough
-    if (!data.isInit) {
-      if (data.ballHasHitEnemyTable) {
-        this.score.opponent += 1;
-        this.tableBlinkAnimation('table-opponent');
-        this.hud.scoreDisplay.setOpponentScore(this.score.opponent);
-        this.sound.playUI('miss');
-      } else {
-        this.score.self += 1;
-        this.tableBlinkAnimation('table-self');
-        this.hud.scoreDisplay.setSelfScore(this.score.self);
-        this.sound.playUI('point');
-      }
-    } else {
+    // another player decided the rally, the winner is from its point of view.
+    // set game to be over if the score is high enough
+    if (data.isInit) {
       this.addBall();
+    } else if (data.outcome.winner) {
+      const sameEnd = this.isSameEnd(data.player);
+      this.addPoint((data.outcome.winner === PLAYER.SELF) === sameEnd ? PLAYER.SELF : PLAYER.OPPONENT);
     }
-    if (this.score.self >= this.config.POINTS_FOR_WIN
-      || this.score.opponent >= this.config.POINTS_FOR_WIN) {
-      this.emitter.emit(EVENT.GAME_OVER, this.score, this.config.mode);
+    if (this.rules.isGameOver(this.score)) {
+      this.endGame(false);
     } else {
+      this.ball.visible = true;
       this.physics.ball.angularVelocity.x = 0;
       this.physics.ball.angularVelocity.y = 0;
       this.physics.ball.angularVelocity.z = 0;
       // otherwise, the opponent that missed also resets the ball
       // and sends along its new position
+      // the ball is already tossed for the next serve
       this.onReceivedHit(data, true);
       this.config.state = STATE.PLAYING;
+      this.startRally(this.rules.getServer(this.score, this.firstServer));
+    }
+    if (data.score) {
+      this.checkScore(data);
+    }
+  }
+
+  onConnectionLost(player) {
+    if (this.config.mode !== MODE.MULTIPLAYER || this.connectionLost
+      || (this.config.state !== STATE.PLAYING
+      && this.config.state !== STATE.COUNTDOWN
+      && this.config.state !== STATE.PAUSED)) {
+      return;
     }
+    // freeze the game until the connection is back or the grace period is
+    // over. scene.time doesn't run while paused, so count with a real interval
+    this.connectionLost = {player, stateBefore: this.config.state, interval: null};
+    this.config.state = STATE.PAUSED;
+    this.showOverlay();
+    let remaining = Math.round(this.config.reconnectGracePeriod / 1000);
+    const showRemaining = () => {
+      this.hud.message.setMessage([
+        player === PLAYER.SELF ? 'connection lost' : 'opponent connection lost',
+        `reconnecting ${remaining}`,
+      ]);
+      this.hud.message.showMessage();
+    };
+    showRemaining();
+    this.connectionLost.interval = setInterval(() => {
+      remaining -= 1;
+      if (remaining > 0) {
+        showRemaining();
+        return;
+      }
+      this.forfeit(player);
+    }, 1000);
   }
 
-  onReceivedRequestCountdown() {
-    if (this.opponentRequestedCountdown) {
+  clearConnectionLost() {
+    if (!this.connectionLost) {
+      return null;
+    }
+    const stateBefore = this.connectionLost.stateBefore;
+    clearInterval(this.connectionLost.interval);
+    this.connectionLost = null;
+    return stateBefore;
+  }
+
+  forfeit(player) {
+    // whoever left the match or didn't come back in time loses it
+    this.clearConnectionLost();
+    if (this.config.state === STATE.GAME_OVER) {
+      return;
+    }
+    this.score.forfeit = player;
+    this.emitter.emit(EVENT.GAME_OVER, this.score, this.config.mode);
+  }
+
+  getResumeState() {
+    const ball = this.physics.ball;
+    return {
+      score: {self: this.score.self, opponent: this.score.opponent},
+      games: this.score.games,
+      history: this.score.history,
+      firstServer: this.firstServer,
+      rules: this.rules.getState(),
+      ball: ball && {
+        visible: this.ball.visible,
+        position: {x: ball.position.x, y: ball.position.y, z: ball.position.z},
+        velocity: {x: ball.velocity.x, y: ball.velocity.y, z: ball.velocity.z},
+        spin: {x: ball.angularVelocity.x, y: ball.angularVelocity.y, z: ball.angularVelocity.z},
+      },
+      state: this.connectionLost ? this.connectionLost.stateBefore : this.config.state,
+    };
+  }
+
+  onReceivedResume() {
+    // the opponent is back and wants to know where we are, our state wins
+    const state = this.getResumeState();
+    this.resume(state.state);
+    return state;
+  }
+
+  onReceivedResumeState(data) {
+    // take over the game as the other player sees it, everything is flipped
+    // unless it's the partner in doubles
+    const mirrored = !this.isSameEnd(data.player);
+    const mirror = this.getMirror(data.player);
+    const flip = side => {
+      return {
+        self: mirrored ? side.opponent : side.self,
+        opponent: mirrored ? side.self : side.opponent,
+      };
+    };
+    Object.assign(this.score, flip(data.score));
+    Object.assign(this.score.games, flip(data.games));
+    this.score.history = data.history.map(flip);
+    this.firstServer = (data.firstServer === PLAYER.SELF) === mirrored ? PLAYER.OPPONENT : PLAYER.SELF;
+    this.rules.setState(data.rules, mirrored);
+    this.hud.scoreDisplay.setSelfScore(this.score.self);
+    this.hud.scoreDisplay.setOpponentScore(this.score.opponent);
+    this.hud.scoreDisplay.setGames(this.score.games);
+    this.hud.scoreDisplay.setServer(this.rules.getServer(this.score, this.firstServer));
+    if (data.ball && this.ball) {
+      this.ball.visible = data.ball.visible;
+      this.ballPositionDifference = null;
+      this.physics.ball.position.copy(mirror.position(data.ball.position));
+      this.physics.ball.velocity.copy(mirror.vector(data.ball.velocity));
+      this.physics.ball.angularVelocity.copy(mirror.vector(data.ball.spin));
+    }
+    // whoever hit last decides the rally, see onPoint
+    if (this.rules.live && this.isDecider()) {
+      this.restartPingpongTimeout();
+    } else {
+      this.time.clearTimeout(this.resetBallTimeout);
+    }
+    this.resume(data.state);
+  }
+
+  resume(state) {
+    const stateBefore = this.clearConnectionLost();
+    if (this.config.state === STATE.GAME_OVER || !stateBefore) {
+      return;
+    }
+    this.config.state = state || stateBefore;
+    this.hud.message.hideMessage();
+    this.hideOverlay();
+  }
+
+  onReceivedRequestCountdown(player) {
+    if (this.config.doubles && this.communication.isHost) {
+      if (this.readyPlayers.indexOf(player) === -1) {
+        this.readyPlayers.push(player);
+      }
+      this.requestCountdown();
+      return;
+    }
+    if (this.opponentRequestedCountdown || (this.config.doubles && player !== 1)) {
+      // in doubles the guests wait for the host, see requestCountdown
       return;
     }
     this.opponentRequestedCountdown = true;
@@ -902,7 +1795,7 @@ export default class Scene {
     const velocity = this.physics.ball.velocity.length();
     const dist = new Vector3().subVectors(this.ball.position, this.paddleOpponent.position).length();
     const eta = dist / velocity;
-    const desirableEta = eta + (this.communication.latency / 1000);
+    const desirableEta = eta + (this.communication.getLatency() / 1000);
     this.physicsTimeStep = 1000 * (desirableEta / eta) * 1;
   }
 
@@ -918,56 +1811,27 @@ export default class Scene {
 
   resetTimeoutEnded() {
     this.ballPath = null;
-    if (this.config.mode === MODE.MULTIPLAYER) {
-      this.physicsTimeStep = 1000;
-      if (this.ballHasHitEnemyTable) {
-        this.score.self += 1;
-        this.tableBlinkAnimation('table-self');
-        this.hud.scoreDisplay.setSelfScore(this.score.self);
-        this.sound.playUI('point');
-      } else {
-        this.score.opponent += 1;
-        this.tableBlinkAnimation('table-opponent');
-        this.hud.scoreDisplay.setOpponentScore(this.score.opponent);
-        this.sound.playUI('miss');
-      }
-      if (this.score.opponent >= this.config.POINTS_FOR_WIN
-          || this.score.self >= this.config.POINTS_FOR_WIN) {
-        // game is over
-        // TODO maybe wait a little with this so players can enjoy their 11 points
-        this.emitter.emit(EVENT.GAME_OVER, this.score, this.config.mode);
-      } else {
-        // the game goes on
-        this.physics.initBallPosition();
-      }
-
-      this.communication.sendMiss({
-        x: this.physics.ball.position.x,
-        y: this.physics.ball.position.y,
-        z: this.physics.ball.position.z,
-      }, {
-        x: this.physics.ball.velocity.x,
-        y: this.physics.ball.velocity.y,
-        z: this.physics.ball.velocity.z,
-      }, this.ballHasHitEnemyTable);
-      this.ballHasHitEnemyTable = false;
-    } else {
-      // singleplayer
-      this.score.highest = Math.max(this.score.self, this.score.highest);
-      this.score.self = 0;
-      this.hud.scoreDisplay.setSelfScore(this.score.self);
-      this.physics.initBallPosition();
-      this.score.lives -= 1;
-      this.hud.scoreDisplay.setLives(this.score.lives);
-      this.sound.playUI('miss');
-      if (this.score.lives === 1) {
-        this.hud.message.setMessage('LAST LIFE!', 'antique');
-        this.hud.message.showMessage();
-        this.time.setTimeout(() => {this.hud.message.hideMessage();}, 1500);
-      }
-      if (this.score.lives < 1) {
-        this.emitter.emit(EVENT.GAME_OVER, this.score, this.config.mode);
-      }
+    if (this.config.mode === MODE.MULTIPLAYER
+      || this.config.mode === MODE.AI) {
+      // the rally got stuck, the point is emitted with the next update
+      this.rules.endRally();
+      return;
+    }
+    // singleplayer
+    this.score.highest = Math.max(this.score.self, this.score.highest);
+    this.score.self = 0;
+    this.hud.scoreDisplay.setSelfScore(this.score.self);
+    this.physics.initBallPosition();
+    this.score.lives -= 1;
+    this.hud.scoreDisplay.setLives(this.score.lives);
+    this.sound.playUI('miss');
+    if (this.score.lives === 1) {
+      this.hud.message.setMessage('LAST LIFE!', 'antique');
+      this.hud.message.showMessage();
+      this.time.setTimeout(() => {this.hud.message.hideMessage();}, 1500);
+    }
+    if (this.score.lives < 1) {
+      this.emitter.emit(EVENT.GAME_OVER, this.score, this.config.mode);
     }
     this.restartPingpongTimeout();
   }
@@ -1007,6 +1871,7 @@ export default class Scene {
     const pos = this.computePaddlePosition();
     if (pos) {
       this.ghostPaddlePosition.copy(pos);
+      this.updatePaddleVelocity();
     }
     if (this.controls && this.controlMode === CONTROLMODE.VR) {
       // Update VR headset position and apply to camera.
@@ -1031,12 +1896,73 @@ export default class Scene {
     } else if (pos) {
       this.paddle.position.copy(pos);
     }
-    const rotation = this.computePaddleRotation(this.paddle.position);
-    this.paddle.rotation.x = rotation.x;
-    this.paddle.rotation.z = rotation.z;
+    const neutralRotation = this.computePaddleRotation(this.paddle.position);
+    this.neutralPaddleRotation.set(neutralRotation.x, neutralRotation.y, neutralRotation.z);
+    this.updatePaddleFace(neutralRotation);
     this.updateCamera();
   }
 
+  updatePaddleFace(neutralRotation) {
+    if (this.controlMode === CONTROLMODE.VR) {
+      const controller = this.getControllerOrientation();
+      if (controller) {
+        // a tracked controller is the paddle
+        this.paddle.quaternion.fromArray(controller);
+        return;
+      }
+      // without a controller the head steers the paddle face: looking further
+      // down than usual closes the face, looking up opens it and tilting the
+      // head sideways turns it
+      const head = new Euler().setFromQuaternion(this.camera.quaternion, 'YXZ');
+      const headPitch = head.x - this.config.vrNeutralHeadPitch;
+      this.paddle.rotation.set(
+        neutralRotation.x + cap(headPitch, -this.config.maxPaddleTilt, this.config.maxPaddleTilt),
+        0,
+        neutralRotation.z + head.z
+      );
+      return;
+    }
+    const tilt = this.smashKeyPressed ? -this.config.maxPaddleTilt : this.paddleTilt;
+    this.paddle.rotation.set(neutralRotation.x + tilt, 0, neutralRotation.z);
+  }
+
+  // eslint-disable-next-line
+  getControllerOrientation() {
+    // orientation of the first tracked gamepad (daydream, vive, oculus touch)
+    // as a quaternion array, or null if there is none
+    if (!navigator.getGamepads) {
+      return null;
+    }
+    const gamepads = navigator.getGamepads();
+    for (let i = 0; i < gamepads.length; i += 1) {
+      const gamepad = gamepads[i];
+      if (gamepad && gamepad.pose && gamepad.pose.orientation) {
+        return gamepad.pose.orientation;
+      }
+    }
+    return null;
+  }
+
+  updatePaddleVelocity() {
+    // average over a few frames, a single frame is too noisy with
+    // sensor or mouse input
+    this.paddleHistory.push({
+      position: this.ghostPaddlePosition.clone(),
+      time: Date.now(),
+    });
+    if (this.paddleHistory.length > this.config.swingHistoryFrames) {
+      this.paddleHistory.shift();
+    }
+    const oldest = this.paddleHistory[0];
+    const newest = this.paddleHistory[this.paddleHistory.length - 1];
+    const seconds = (newest.time - oldest.time) / 1000;
+    if (seconds > 0) {
+      this.paddleVelocity.subVectors(newest.position, oldest.position).divideScalar(seconds);
+    } else {
+      this.paddleVelocity.set(0, 0, 0);
+    }
+  }
+
   updateCamera() {
     if (this.display && this.controlMode !== CONTROLMODE.MOUSE) {
       // user controls camera with headset in vr mode
@@ -1122,6 +2048,18 @@ export default class Scene {
     };
   }
 
+  updateAIOpponent(delta) {
+    if (this.aiOpponent.update(delta) && this.ball.visible) {
+      this.onAIOpponentHit();
+    }
+    // rotate the paddle like the player's paddle would be rotated at the
+    // mirrored position, mirrored back
+    const rotation = this.computePaddleRotation(
+      mirrorPosition(this.paddleOpponent.position, this.config.tablePositionZ)
+    );
+    this.paddleOpponent.rotation.set(-rotation.x, rotation.y, -rotation.z);
+  }
+
   updateBall() {
     if (this.ballPositionDifference) {
       // we interpolate between the actual (received) position and the position
@@ -1187,9 +2125,11 @@ export default class Scene {
     const no = {
       color: `#${table.material.color.getHexString()}`,
     };
-    const BLUE_TABLE = `#${new Color(this.config.colors.BLUE_TABLE).getHexString()}`;
-    const GREEN_TABLE = `#${new Color(this.config.colors.GREEN_TABLE).getHexString()}`;
-    const to = this.communication.isHost ? BLUE_TABLE : GREEN_TABLE;
+    let to = this.communication.isHost ? this.config.colors.BLUE_TABLE : this.config.colors.GREEN_TABLE;
+    if (this.config.mode === MODE.AI) {
+      to = this.config.colors.PINK_TABLE;
+    }
+    to = `#${new Color(to).getHexString()}`;
     TweenMax.fromTo(no, 0.8, {
       color: brightenedColor,
     }, {
@@ -1208,6 +2148,10 @@ export default class Scene {
       this.table.getObjectByName('table-self').material.color.set(this.config.colors.PINK_TABLE);
       singleplayerTable.material.color.set(this.config.colors.PINK_TABLE_UPWARDS);
       this.renderer.setClearColor(this.config.colors.PINK_CLEARCOLOR);
+    } else if (this.config.mode === MODE.AI) {
+      this.table.getObjectByName('table-self').material.color.set(this.config.colors.PINK_TABLE);
+      opponentTable.material.color.set(this.config.colors.PINK_TABLE);
+      this.renderer.setClearColor(this.config.colors.PINK_CLEARCOLOR);
     } else if (this.communication.isHost) {
       this.table.getObjectByName('table-self').material.color.set(this.config.colors.BLUE_TABLE);
       opponentTable.material.color.set(this.config.colors.BLUE_TABLE);
@@ -1280,12 +2224,18 @@ export default class Scene {
     const delta = Math.min(timestamp - this.lastRender, 500);
     this.fps.tick();
 
-    if (this.ball) {
+    // the ball is hidden between games and after the game is over
+    if (this.ball && this.ball.visible) {
       const dist = new Vector3();
       dist.subVectors(this.ball.position, this.paddle.position);
       if (
+        // spectators don't play, in doubles only when it's our turn. both
+        // players of a side stand at the same spot, so the paddle of the
+        // other one might be right there
+        !this.isSpectator
+        && this.rules.isTurn(PLAYER.SELF, this.getSlot())
         // ball is close enough to the paddle for a hit
-        (dist.length() < 0.4
+        && (dist.length() < 0.4
           && Math.abs(dist.x) < 0.2
           && Math.abs(dist.z) < 0.1
         // make it a little easier on mobile
@@ -1295,7 +2245,11 @@ export default class Scene {
         // and ball is moving towards us, it could move away from us
         // immediately after the opponent reset the ball and it that case
         // we wouldnt want a hit
-        && this.physics.ball.velocity.z > 0) {
+        && (this.physics.ball.velocity.z > 0
+        // or we tossed it for a serve and it's coming down on the paddle
+        || this.rules.isTossed(PLAYER.SELF)
+          && this.physics.ball.velocity.y < 0
+          && dist.y < 0.15)) {
         this.onBallPaddleCollision(this.ball.position);
       }
       this.updateTrail();
@@ -1308,11 +2262,21 @@ export default class Scene {
       || this.config.state === STATE.PAUSED
       || this.config.state === STATE.INSTRUCTIONS
       || this.config.state === STATE.GAME_OVER) {
-      this.updateControls();
-      if (this.config.mode === MODE.MULTIPLAYER && this.config.state !== STATE.WAITING) {
-        // send where the paddle has moved, if it has moved
-        // every 5th frame is enough, this way we send less bytes down the line
-        if (this.frameNumber % 5 === 0) {
+      if (this.isSpectator) {
+        this.updateBroadcastCamera();
+      } else {
+        this.updateControls();
+      }
+      if (this.config.mode === MODE.MULTIPLAYER) {
+        this.updateRemotePaddles();
+      }
+      if (this.config.mode === MODE.MULTIPLAYER && !this.isSpectator
+        && this.config.state !== STATE.WAITING) {
+        // send where the paddle has moved at a fixed rate whatever the
+        // framerate, the others interpolate between the moves
+        const now = Date.now();
+        if (now - this.lastMoveSent >= this.config.moveInterval) {
+          this.lastMoveSent = now;
           this.communication.sendMove(
             this.paddle.position,
             this.paddle.rotation
@@ -1321,8 +2285,16 @@ export default class Scene {
       }
     }
 
+    if (this.config.mode === MODE.AI && this.config.state === STATE.PLAYING && this.tabActive) {
+      this.updateAIOpponent(delta);
+    }
+
     if (this.config.state === STATE.PLAYING && this.tabActive) {
       this.physics.step(delta / this.physicsTimeStep);
+      if (this.config.mode === MODE.MULTIPLAYER && !this.isSpectator) {
+        this.syncBall(delta);
+      }
+      this.rules.update(this.physics.ball.position, this.physics.ball.velocity);
       this.updateBall();
       this.physics.predictCollisions(this.scene.getObjectByName('net-collider'), delta);
     }
@@ -0,0 +1,123 @@
+import {ACTION} from './constants';
+import {PROTOCOL_VERSION} from './protocol';
+
+const HEARTBEAT_INTERVAL = 1000;
+// ms without a message before we think the others are gone
+const OPPONENT_TIMEOUT = 3000;
+// ms a guest waits for the host to answer CONNECT
+const HANDSHAKE_TIMEOUT = 5000;
+
+// what to tell the player if the other one has another version
+export const versionMismatch = version => (
+  version > PROTOCOL_VERSION
+    ? 'new version available, please reload'
+    : 'the other player has an old version and needs to reload'
+);
+
+/**
+ * The part of the protocol every player speaks no matter who plays, see
+ * protocol.js: the sequence numbers of the messages, the handshake of a guest
+ * with the host and the heartbeat. Used by Communication and the bot, it
+ * doesn't need a page.
+ */
+export default class Session {
+  constructor(transport) {
+    this.transport = transport;
+    // the sequence number of our last message of every action and of the
+    // last one we got from each player, see protocol.js
+    this.sequences = {};
+    this.lastSequences = {};
+    // resolve and reject while a guest waits for the VERSION of the host
+    this.handshake = null;
+    this.versionMismatch = false;
+    this.heartbeatInterval = null;
+    // when we last heard from anybody else
+    this.lastReceived = 0;
+  }
+
+  send(action, data = {}) {
+    this.sequences[action] = (this.sequences[action] || 0) + 1;
+    this.transport.send(action, Object.assign({s: this.sequences[action]}, data));
+  }
+
+  reset() {
+    // a new room, the numbers of the players start over
+    this.lastSequences = {};
+  }
+
+  forget(player) {
+    // the player left, whoever takes its slot next counts from the start
+    Object.keys(this.lastSequences).forEach(key => {
+      if (key.indexOf(`${player}-`) === 0) {
+        delete this.lastSequences[key];
+      }
+    });
+  }
+
+  isNew(action, data) {
+    // false for a message we had already or an older one of the same
+    // action, the transports deliver those in order
+    if (data.s === undefined) {
+      return true;
+    }
+    const key = `${data.player}-${action}`;
+    if (data.s <= (this.lastSequences[key] || 0)) {
+      return false;
+    }
+    this.lastSequences[key] = data.s;
+    return true;
+  }
+
+  shakeHands(slot) {
+    // tell the host our version, it answers with its own and resolves with
+    // the settings of the match
+    return new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        this.handshake = null;
+        reject('the host did not answer, please reload');
+      }, HANDSHAKE_TIMEOUT);
+      const settle = callback => value => {
+        clearTimeout(timeout);
+        callback(value);
+      };
+      this.handshake = {slot, resolve: settle(resolve), reject: settle(reject)};
+      this.send(ACTION.CONNECT, {version: PROTOCOL_VERSION});
+    });
+  }
+
+  receivedVersion(data) {
+    if (!this.handshake || data.to !== this.handshake.slot) {
+      return;
+    }
+    const handshake = this.handshake;
+    this.handshake = null;
+    if (data.version === PROTOCOL_VERSION) {
+      handshake.resolve(data.settings);
+      return;
+    }
+    this.versionMismatch = true;
+    handshake.reject(versionMismatch(data.version));
+  }
+
+  heard() {
+    this.lastReceived = Date.now();
+  }
+
+  startHeartbeat(onSilence) {
+    // let the others know we are still here, and call onSilence every beat
+    // we didn't hear from them for too long
+    this.heard();
+    this.stopHeartbeat();
+    this.heartbeatInterval = setInterval(() => {
+      this.send(ACTION.HEARTBEAT);
+      if (Date.now() - this.lastReceived > OPPONENT_TIMEOUT) {
+        onSilence();
+      }
+    }, HEARTBEAT_INTERVAL);
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeatInterval);
+    this.heartbeatInterval = null;
+  }
+}
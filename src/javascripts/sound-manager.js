@@ -167,7 +167,7 @@ export default class SoundManager {
 
   table(point = {x: 0, y: 0, z: 0}, velocity = {x: 0, y: -1, z: -1}) {
     if (this.error) return;
-    if (point.y > this.config.tableHeight + 0.1 && this.config.mode === MODE.MULTIPLAYER) {
+    if (point.y > this.config.tableHeight + 0.1 && this.config.mode !== MODE.SINGLEPLAYER) {
       // ball hit vertical table but its not visible
       return;
     }
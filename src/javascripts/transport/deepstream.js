@@ -0,0 +1,434 @@
+import deepstream from 'deepstream.io-client-js/dist/deepstream';
+import {ACTION} from '../constants';
+import {SERVER_SLOT} from '../protocol';
+
+// ms before the first attempt to reconnect after the connection dropped, the
+// delay doubles with every failed attempt up to the max
+const RECONNECT_DELAY = 500;
+const MAX_RECONNECT_DELAY = 8000;
+// ms a guest waits before it checks that nobody else took the same slot
+const CLAIM_DELAY = 300;
+// ms between the quick match requests of a waiting player, the server drops
+// players it didn't hear from in a while, see deepstream.js
+const QUEUE_REFRESH_INTERVAL = 10000;
+
+// the number of players in a room with these settings
+const slotsFor = settings => (settings && settings.doubles ? 4 : 2);
+
+/**
+ * Transport over deepstream records. Every room has a couple of records, each
+ * player writes its messages to records of its own and subscribes to the
+ * records of the other players. Player 1 is the host, the guests take the
+ * following slots, 2 in singles and 2 to 4 in doubles. Received messages get
+ * the slot of the player they came from as data.player.
+ */
+export default class DeepstreamTransport {
+  constructor() {
+    // the deepstream servers are configured at runtime, see
+    // Communication.loadServers
+    this.servers = null;
+    this.client = null;
+    // the name we log in with, the server knows by it which rooms we are in
+    // and whether we are still around. deepstream.js gives us a name of its
+    // own for the secret, nobody else can write our records with it, see
+    // permissions.yml
+    this.user = `${Date.now()}-${Math.random()}`;
+    this.secret = `${Date.now()}-${Math.random()}`;
+    this.server = null;
+    this.id = null;
+    this.isHost = false;
+    // the slot of this player and the number of slots in the room
+    this.slot = null;
+    this.slots = 2;
+    // spectators only read the records of the room, see watchRoom
+    this.isSpectator = false;
+    this.statusRecord = null;
+    // false while the connection is down
+    this.online = false;
+    this.closed = false;
+    // the quick match this player waits for, see findMatch
+    this.match = null;
+    this.receive = () => {};
+    this.status = () => {};
+  }
+
+  onMessage(callback) {
+    this.receive = callback;
+  }
+
+  onStatus(callback) {
+    this.status = callback;
+  }
+
+  // eslint-disable-next-line
+  probe(server) {
+    return new Promise(resolve => {
+      const client = deepstream(server);
+      const timeout = setTimeout(() => {
+        client.close();
+        resolve(false);
+      }, 3000);
+      client.on('error', () => {
+        // in case a server is down it will throw an error
+        // ignore these and use timeout for determining that
+      });
+      client.on('connectionStateChanged', e => {
+        if (e !== deepstream.CONSTANTS.CONNECTION_STATE.ERROR
+            && e !== deepstream.CONSTANTS.CONNECTION_STATE.CLOSED
+            && e !== deepstream.CONSTANTS.CONNECTION_STATE.RECONNECTING) {
+          // we're in
+          clearTimeout(timeout);
+          client.close();
+          resolve(true);
+        }
+      });
+    });
+  }
+
+  connect(server) {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        reject('timeout');
+      }, 2000);
+      this.server = server;
+      this.client = deepstream(server, {
+        mergeStrategy: deepstream.MERGE_STRATEGIES.REMOTE_WINS,
+        // we reconnect ourselves, see reconnect
+        maxReconnectAttempts: 0,
+      });
+      const client = this.client;
+      this.client.login({username: this.user, secret: this.secret}, (success, data) => {
+        if (success && data && data.user) {
+          this.user = data.user;
+        }
+      });
+      this.client.on('error', e => {
+        reject(e);
+      });
+      this.client.on('connectionStateChanged', e => {
+        if (e === deepstream.CONSTANTS.CONNECTION_STATE.OPEN) {
+          this.online = true;
+          resolve();
+        }
+        if (e === deepstream.CONSTANTS.CONNECTION_STATE.ERROR) {
+          reject('error');
+        }
+        if (client === this.client && this.online && !this.closed && (
+          e === deepstream.CONSTANTS.CONNECTION_STATE.RECONNECTING
+          || e === deepstream.CONSTANTS.CONNECTION_STATE.CLOSED
+          || e === deepstream.CONSTANTS.CONNECTION_STATE.ERROR
+        )) {
+          this.online = false;
+          this.status('lost');
+          this.reconnect(RECONNECT_DELAY);
+        }
+      });
+    });
+  }
+
+  reconnect(delay) {
+    // connect to the same server again and pick up the records of the room,
+    // we keep the player slot, it stays the same
+    setTimeout(() => {
+      if (this.closed) {
+        return;
+      }
+      this.client.close();
+      this.connect(this.server).then(() => {
+        if (this.id) {
+          this.setRecords(this.id);
+          this.startListening();
+        }
+        this.status('restored');
+      }).catch(() => {
+        this.online = false;
+        this.reconnect(Math.min(delay * 2, MAX_RECONNECT_DELAY));
+      });
+    }, delay);
+  }
+
+  openRoom(id, settings) {
+    this.isHost = true;
+    this.slot = 1;
+    this.slots = slotsFor(settings);
+    this.setRecords(id);
+    this.startListening();
+    // we may only write the records of the room once the server knows that
+    // it's ours
+    this.client.rpc.make('room-open', {room: id, user: this.user, settings}, () => {
+      this.statusRecord.set('settings', settings);
+      this.statusRecord.set('room-is-open', true);
+    });
+  }
+
+  updateSettings(settings) {
+    this.slots = slotsFor(settings);
+    this.client.rpc.make('room-update', {room: this.id, user: this.user, settings}, () => {});
+    this.statusRecord.set('settings', settings);
+  }
+
+  closeRoom() {
+    this.statusRecord.set('room-is-open', false);
+  }
+
+  findRoom(id, watch = false) {
+    // the server tells us right away if a room is gone. servers that don't
+    // keep track of the rooms leave it to the timeout in joinRoom
+    return new Promise((resolve, reject) => {
+      this.client.rpc.make('room-find', {room: id, user: this.user, watch}, error => {
+        if (error === 'no room found') {
+          reject(error);
+          return;
+        }
+        resolve();
+      });
+    });
+  }
+
+  joinRoom(id) {
+    this.isHost = false;
+    return this.findRoom(id).then(() => new Promise((resolve, reject) => {
+      this.setRecords(id);
+      this.statusRecord.subscribe('room-is-open', value => {
+        if (!value) {
+          reject('room already full');
+          return;
+        }
+        const settings = this.statusRecord.get('settings');
+        this.slots = slotsFor(settings);
+        this.claim().then(slot => {
+          this.slot = slot;
+          this.startListening();
+          resolve(settings);
+        }, reject);
+      });
+      setTimeout(() => {
+        reject('no room found');
+      }, 2000);
+    }));
+  }
+
+  claim() {
+    // the server hands out the slots and turns away guests once the room is
+    // full, see room-claim in deepstream.js. servers that don't keep track of
+    // the rooms leave it to the guests
+    return new Promise((resolve, reject) => {
+      this.client.rpc.make('room-claim', {room: this.id, user: this.user}, (error, slot) => {
+        if (!error) {
+          resolve(slot);
+        } else if (error === 'room already full' || error === 'no room found') {
+          reject(error);
+        } else {
+          resolve(this.claimSlot(2));
+        }
+      });
+    });
+  }
+
+  claimSlot(slot) {
+    // guests take the first free slot. two guests might take the same one at
+    // the same time, the record keeps the last write so whoever reads back
+    // somebody else's token tries the next slot
+    if (slot > this.slots) {
+      return Promise.reject('room already full');
+    }
+    if (this.statusRecord.get(`slot-${slot}`)) {
+      return this.claimSlot(slot + 1);
+    }
+    const token = `${Date.now()}-${Math.random()}`;
+    this.statusRecord.set(`slot-${slot}`, token);
+    return new Promise(resolve => {
+      setTimeout(resolve, CLAIM_DELAY);
+    }).then(() => (
+      this.statusRecord.get(`slot-${slot}`) === token ? slot : this.claimSlot(slot + 1)
+    ));
+  }
+
+  findMatch(id) {
+    // wait in the quick match queue of the server with a room code of our
+    // own, the server tells both players of a match which room to play in
+    this.stopMatching();
+    const token = `${Date.now()}-${Math.random()}`;
+    return new Promise((resolve, reject) => {
+      const request = () => {
+        this.client.rpc.make('quick-match', {token, room: id, user: this.user}, error => {
+          if (error) {
+            this.stopMatching();
+            reject('quick match not available');
+          }
+        });
+      };
+      this.match = {
+        token,
+        event: `quick-match/${token}`,
+        interval: setInterval(request, QUEUE_REFRESH_INTERVAL),
+      };
+      this.client.event.subscribe(this.match.event, match => {
+        this.stopMatching();
+        resolve(match);
+      });
+      request();
+    });
+  }
+
+  cancelMatch() {
+    if (this.match) {
+      this.client.rpc.make('quick-match-cancel', {token: this.match.token, user: this.user}, () => {});
+    }
+    this.stopMatching();
+  }
+
+  stopMatching() {
+    if (!this.match) {
+      return;
+    }
+    clearInterval(this.match.interval);
+    this.client.event.unsubscribe(this.match.event);
+    this.match = null;
+  }
+
+  watchRoom(id) {
+    this.isSpectator = true;
+    return this.findRoom(id, true).then(() => new Promise((resolve, reject) => {
+      this.setRecords(id);
+      this.statusRecord.whenReady(() => {
+        const settings = this.statusRecord.get('settings');
+        if (!settings) {
+          reject('no room found');
+          return;
+        }
+        this.slots = slotsFor(settings);
+        this.startListening();
+        resolve(settings);
+      });
+    }));
+  }
+
+  setRecords(id) {
+    this.id = id;
+    // only the host writes the settings of the room
+    this.statusRecord = this.client.record.getRecord(`${id}-status`);
+    // one paddle record and one record for everything else per slot, see
+    // getPaddleRecord and getPlayerRecord
+    this.paddleRecords = {};
+    this.playerRecords = {};
+    // only the server writes this one, see permissions.yml
+    this.serverRecord = this.client.record.getRecord(`${id}-server`);
+  }
+
+  getPaddleRecord(slot) {
+    // the paddles get their own records because they change all the time
+    if (!this.paddleRecords[slot]) {
+      this.paddleRecords[slot] = this.client.record.getRecord(`${this.id}-paddle${slot}`);
+    }
+    return this.paddleRecords[slot];
+  }
+
+  getPlayerRecord(slot) {
+    // only the player in the slot may write it, see permissions.yml
+    if (!this.playerRecords[slot]) {
+      this.playerRecords[slot] = this.client.record.getRecord(`${this.id}-player${slot}`);
+    }
+    return this.playerRecords[slot];
+  }
+
+  startListening() {
+    // listen to everybody else in the room, spectators to all players
+    for (let slot = 1; slot <= this.slots; slot += 1) {
+      if (slot !== this.slot) {
+        this.listenTo(slot);
+      }
+    }
+    // and to the server in case it owns the ball, see authority.js
+    this.serverRecord.subscribe('message', value => {
+      this.receive(value.action, Object.assign({player: SERVER_SLOT}, value));
+    });
+  }
+
+  listenTo(slot) {
+    const record = this.getPlayerRecord(slot);
+    const tag = value => Object.assign({player: slot}, value);
+    record.subscribe('message', value => {
+      this.receive(value.action, tag(value));
+    });
+    this.getPaddleRecord(slot).subscribe('position', value => {
+      this.receive(ACTION.MOVE, tag(value));
+    });
+    record.subscribe('hit', value => {
+      this.receive(ACTION.HIT, tag(value));
+    });
+    record.subscribe('miss', value => {
+      this.receive(ACTION.MISS, tag(value));
+    });
+    if (this.isSpectator) {
+      return;
+    }
+    // every update of a path is delivered, one path for all pings and
+    // pongs of a player is enough
+    record.subscribe('ping', value => {
+      this.receive(value.ping ? ACTION.PING : ACTION.PONG, tag(value));
+    });
+  }
+
+  send(action, data = {}) {
+    const record = this.getPlayerRecord(this.slot);
+    switch (action) {
+      case ACTION.MOVE:
+        this.getPaddleRecord(this.slot).set('position', data);
+        break;
+      case ACTION.HIT:
+        // the sequence number makes sure the record is actually updated in
+        // case we send the same values twice, see protocol.js
+        record.set('hit', data);
+        break;
+      case ACTION.MISS:
+        record.set('miss', data);
+        break;
+      case ACTION.PING:
+      case ACTION.PONG:
+        record.set('ping', {
+          index: data.index,
+          // the player a pong answers, everybody else ignores it, and the
+          // clock of the player that answers
+          to: data.to || null,
+          time: data.time || null,
+          ping: action === ACTION.PING,
+          pong: action === ACTION.PONG,
+        });
+        break;
+      default:
+        record.set('message', Object.assign({action}, data));
+    }
+  }
+
+  leaveRoom() {
+    // give up the room before the match started, e.g. a quick match the
+    // guest never joined. we stay connected for the next one
+    this.stopListening();
+    this.id = null;
+  }
+
+  close() {
+    this.closed = true;
+    this.stopMatching();
+    this.stopListening();
+  }
+
+  stopListening() {
+    if (!this.statusRecord) {
+      return;
+    }
+    const records = [this.paddleRecords, this.playerRecords].map(bySlot => (
+      Object.keys(bySlot).map(slot => bySlot[slot])
+    ));
+    [this.statusRecord, this.serverRecord].concat(...records).forEach(record => {
+      record.discard();
+    });
+    // a guest gives its slot to the next one, the room ends with the host
+    // and the server deletes its records
+    if (!this.isSpectator) {
+      this.client.rpc.make('room-leave', {room: this.id, user: this.user}, () => {});
+    }
+    this.statusRecord = null;
+  }
+}
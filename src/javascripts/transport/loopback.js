@@ -0,0 +1,136 @@
+import Map from 'es6-map';
+
+// open rooms of all loopback transports in this page
+const rooms = new Map();
+// players waiting for a quick match, see findMatch
+const queue = [];
+
+/**
+ * Transport between clients in the same page, e.g. for tests. Messages are
+ * serialized like they would be on the wire and delivered after the given
+ * latency in ms to everybody else in the room, with the slot of the sender.
+ * The host has slot 1. The room closes with the host, a guest that leaves
+ * gives its slot to the next one.
+ */
+export default class LoopbackTransport {
+  constructor(latency = 0) {
+    this.servers = ['loopback'];
+    this.latency = latency;
+    this.isHost = false;
+    this.slot = null;
+    this.id = null;
+    this.receive = () => {};
+  }
+
+  onMessage(callback) {
+    this.receive = callback;
+  }
+
+  // eslint-disable-next-line
+  onStatus() {
+    // the page never loses the connection to itself
+  }
+
+  // eslint-disable-next-line
+  probe() {
+    return Promise.resolve(true);
+  }
+
+  // eslint-disable-next-line
+  connect() {
+    return Promise.resolve();
+  }
+
+  openRoom(id, settings) {
+    this.isHost = true;
+    this.slot = 1;
+    this.id = id;
+    rooms.set(id, {players: [this], spectators: [], settings});
+  }
+
+  updateSettings(settings) {
+    rooms.get(this.id).settings = settings;
+  }
+
+  // eslint-disable-next-line
+  closeRoom() {
+    // the room is full as soon as the guest joined, see joinRoom
+  }
+
+  joinRoom(id) {
+    this.isHost = false;
+    const room = rooms.get(id);
+    if (!room) {
+      return Promise.reject('no room found');
+    }
+    if (room.players.filter(player => player).length >= (room.settings && room.settings.doubles ? 4 : 2)) {
+      return Promise.reject('room already full');
+    }
+    this.id = id;
+    this.slot = (room.players.indexOf(null) + 1) || room.players.length + 1;
+    room.players[this.slot - 1] = this;
+    return Promise.resolve(JSON.parse(JSON.stringify(room.settings)));
+  }
+
+  findMatch(id) {
+    // whoever waited longer opens the room with its code
+    return new Promise(resolve => {
+      const waiting = queue.shift();
+      if (!waiting) {
+        queue.push({transport: this, room: id, resolve});
+        return;
+      }
+      setTimeout(() => {
+        waiting.resolve({room: waiting.room, isHost: true});
+        resolve({room: waiting.room, isHost: false});
+      }, this.latency);
+    });
+  }
+
+  cancelMatch() {
+    const index = queue.map(waiting => waiting.transport).indexOf(this);
+    if (index !== -1) {
+      queue.splice(index, 1);
+    }
+  }
+
+  watchRoom(id) {
+    const room = rooms.get(id);
+    if (!room) {
+      return Promise.reject('no room found');
+    }
+    this.id = id;
+    room.spectators.push(this);
+    return Promise.resolve(JSON.parse(JSON.stringify(room.settings)));
+  }
+
+  send(action, data = {}) {
+    const room = rooms.get(this.id);
+    if (!room || !this.slot) {
+      return;
+    }
+    const message = JSON.stringify(Object.assign({}, data, {player: this.slot}));
+    room.players.concat(room.spectators).forEach(other => {
+      if (!other || other === this) {
+        return;
+      }
+      setTimeout(() => {
+        other.receive(action, JSON.parse(message));
+      }, this.latency);
+    });
+  }
+
+  leaveRoom() {
+    this.close();
+  }
+
+  close() {
+    const room = rooms.get(this.id);
+    if (this.isHost) {
+      rooms.delete(this.id);
+    } else if (room && room.players[this.slot - 1] === this) {
+      room.players[this.slot - 1] = null;
+    }
+    this.id = null;
+  }
+}
@@ -0,0 +1,168 @@
+/**
+ * Transport over a plain WebSocket relay, see deepstream.js for the server
+ * side. All frames are JSON objects with a type:
+ * - open {room, settings}, update {settings} and join {room} are sent to the
+ *   relay, it answers a join with joined {settings, slot} or error {message}
+ * - watch {room} is sent by spectators, the answer is watching {settings}
+ * - queue {room} puts the player in the quick match queue, cancel takes it
+ *   out again, matched {room, isHost} tells it where to play. the relay
+ *   opens the room of the host right away, open only sets its settings
+ * - a socket is in one room at a time, open, join and watch leave the room
+ *   it was in before
+ * - message {action, data} is passed on to everybody else in the room, data
+ *   gets the slot of the player it came from, 1 is the host
+ */
+export default class RelayTransport {
+  constructor() {
+    const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+    this.servers = [`${protocol}//${location.host}/relay`];
+    this.socket = null;
+    this.isHost = false;
+    this.slot = null;
+    // resolve and reject of the join request waiting for an answer
+    this.join = null;
+    // resolve of the quick match this player waits for
+    this.match = null;
+    this.receive = () => {};
+  }
+
+  onMessage(callback) {
+    this.receive = callback;
+  }
+
+  // eslint-disable-next-line
+  onStatus() {
+    // the relay drops the room when the host leaves and the slot of a guest,
+    // there is nothing to reconnect to
+  }
+
+  // eslint-disable-next-line
+  probe(server) {
+    return new Promise(resolve => {
+      const socket = new WebSocket(server);
+      const timeout = setTimeout(() => {
+        socket.close();
+        resolve(false);
+      }, 3000);
+      socket.onopen = () => {
+        clearTimeout(timeout);
+        socket.close();
+        resolve(true);
+      };
+    });
+  }
+
+  connect(server) {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        reject('timeout');
+      }, 2000);
+      this.socket = new WebSocket(server);
+      this.socket.onopen = () => {
+        resolve();
+      };
+      this.socket.onerror = () => {
+        reject('error');
+      };
+      this.socket.onmessage = e => {
+        this.onFrame(JSON.parse(e.data));
+      };
+    });
+  }
+
+  onFrame(frame) {
+    switch (frame.type) {
+      case 'joined':
+        this.slot = frame.slot;
+        this.join.resolve(frame.settings);
+        break;
+      case 'watching':
+        this.join.resolve(frame.settings);
+        break;
+      case 'matched':
+        if (this.match) {
+          this.match({room: frame.room, isHost: frame.isHost});
+          this.match = null;
+        }
+        break;
+      case 'error':
+        if (this.join) {
+          this.join.reject(frame.message);
+        }
+        break;
+      case 'message':
+        this.receive(frame.action, frame.data);
+        break;
+      default:
+        console.warn('unknown frame');
+    }
+  }
+
+  write(frame) {
+    if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify(frame));
+    }
+  }
+
+  openRoom(id, settings) {
+    this.isHost = true;
+    this.slot = 1;
+    this.write({type: 'open', room: id, settings});
+  }
+
+  updateSettings(settings) {
+    this.write({type: 'update', settings});
+  }
+
+  // eslint-disable-next-line
+  closeRoom() {
+    // the relay doesn't let anyone else in once the guest joined
+  }
+
+  joinRoom(id) {
+    this.isHost = false;
+    return new Promise((resolve, reject) => {
+      this.join = {resolve, reject};
+      this.write({type: 'join', room: id});
+      setTimeout(() => {
+        reject('no room found');
+      }, 2000);
+    });
+  }
+
+  send(action, data = {}) {
+    this.write({type: 'message', action, data});
+  }
+
+  findMatch(id) {
+    return new Promise(resolve => {
+      this.match = resolve;
+      this.write({type: 'queue', room: id});
+    });
+  }
+
+  cancelMatch() {
+    this.match = null;
+    this.write({type: 'cancel'});
+  }
+
+  watchRoom(id) {
+    return new Promise((resolve, reject) => {
+      this.join = {resolve, reject};
+      this.write({type: 'watch', room: id});
+      setTimeout(() => {
+        reject('no room found');
+      }, 2000);
+    });
+  }
+
+  leaveRoom() {
+    this.write({type: 'leave'});
+  }
+
+  close() {
+    if (this.socket) {
+      this.socket.close();
+    }
+  }
+}
@@ -0,0 +1,315 @@
+import {ACTION} from '../constants';
+import DeepstreamTransport from './deepstream';
+
+// how long the peers get to set up the peer connection before they stick to
+// the signaling transport
+const CONNECT_TIMEOUT = 5000;
+
+// how long the ice connection may stay disconnected before the peers restart
+// it, it often comes back by itself
+const DISCONNECT_GRACE = 2000;
+
+const ICE_SERVERS = [
+  {urls: 'stun:stun.l.google.com:19302'},
+];
+
+/**
+ * Plays over a direct WebRTC connection between the two players. The rooms
+ * are handled by another transport, deepstream by default, which is also
+ * used to exchange the offer and answer. Paddle moves go through an
+ * unreliable, unordered data channel, everything else through a reliable one.
+ * Until the data channels are open, or if the peer connection fails, all
+ * messages go through the signaling transport. When the connection is lost
+ * the host restarts the ice once, the messages go through the signaling
+ * transport meanwhile and only if that doesn't bring the peers back they
+ * stick to it. Doubles always go through the
+ * signaling transport, there is no peer connection between four players.
+ */
+export default class WebRTCTransport {
+  constructor(signaling = new DeepstreamTransport()) {
+    this.signaling = signaling;
+    this.signaling.onMessage(this.onSignalingMessage.bind(this));
+    this.servers = signaling.servers;
+    this.isHost = false;
+    this.isSpectator = false;
+    this.slot = null;
+    this.doubles = false;
+    this.peerConnection = null;
+    this.channels = {};
+    // true while both data channels are open and the ice is connected
+    this.connected = false;
+    this.restarting = false;
+    this.receive = () => {};
+  }
+
+  onMessage(callback) {
+    this.receive = callback;
+  }
+
+  onStatus(callback) {
+    this.signaling.onStatus(callback);
+  }
+
+  probe(server) {
+    return this.signaling.probe(server);
+  }
+
+  connect(server) {
+    return this.signaling.connect(server);
+  }
+
+  openRoom(id, settings) {
+    this.isHost = true;
+    this.slot = 1;
+    this.doubles = Boolean(settings && settings.doubles);
+    this.signaling.openRoom(id, settings);
+  }
+
+  updateSettings(settings) {
+    this.doubles = Boolean(settings && settings.doubles);
+    this.signaling.updateSettings(settings);
+  }
+
+  closeRoom() {
+    this.signaling.closeRoom();
+  }
+
+  joinRoom(id) {
+    this.isHost = false;
+    return this.signaling.joinRoom(id).then(settings => {
+      this.slot = this.signaling.slot;
+      this.doubles = Boolean(settings && settings.doubles);
+      return settings;
+    });
+  }
+
+  findMatch(id) {
+    return this.signaling.findMatch(id);
+  }
+
+  cancelMatch() {
+    this.signaling.cancelMatch();
+  }
+
+  watchRoom(id) {
+    // spectators can't see into the data channels of the players, they only
+    // get what goes through the signaling transport, i.e. the game until the
+    // peer connection is up or after it failed
+    this.isSpectator = true;
+    return this.signaling.watchRoom(id);
+  }
+
+  onSignalingMessage(action, data) {
+    if (action === ACTION.SIGNAL) {
+      // spectators see the negotiation of the players but take no part in it
+      if (!this.isSpectator) {
+        this.onSignal(data.description, data.restart);
+      }
+      return;
+    }
+    if (action === ACTION.CONNECT && this.isHost && !this.doubles && this.createPeerConnection()) {
+      // the guest is in, the host starts the negotiation
+      this.addChannel(this.peerConnection.createDataChannel('moves', {
+        ordered: false,
+        maxRetransmits: 0,
+      }));
+      this.addChannel(this.peerConnection.createDataChannel('game'));
+      this.peerConnection.createOffer()
+        .then(offer => this.peerConnection.setLocalDescription(offer))
+        .then(() => this.sendDescription())
+        .catch(e => this.fallBack(e));
+    }
+    this.receive(action, data);
+  }
+
+  onSignal(description, restart) {
+    if (description.type === 'answer') {
+      if (!this.peerConnection) {
+        return;
+      }
+      this.peerConnection.setRemoteDescription(description).catch(e => this.fallBack(e));
+      return;
+    }
+    if (restart) {
+      // the data channels stay, only the ice starts over. once we fell back
+      // there is nothing left to restart and the host falls back as well
+      if (this.peerConnection) {
+        this.answer(description);
+      }
+      return;
+    }
+    if (!this.createPeerConnection()) {
+      return;
+    }
+    this.peerConnection.ondatachannel = e => {
+      this.addChannel(e.channel);
+    };
+    this.answer(description);
+  }
+
+  answer(description) {
+    this.peerConnection.setRemoteDescription(description)
+      .then(() => this.peerConnection.createAnswer())
+      .then(answer => this.peerConnection.setLocalDescription(answer))
+      .then(() => this.sendDescription())
+      .catch(e => this.fallBack(e));
+  }
+
+  createPeerConnection() {
+    // without webrtc support everything goes through the signaling transport
+    if (!window.RTCPeerConnection) {
+      return false;
+    }
+    // a new offer after a reconnect replaces the old connection
+    this.closePeerConnection();
+    this.peerConnection = new RTCPeerConnection({iceServers: ICE_SERVERS});
+    this.peerConnection.oniceconnectionstatechange = () => {
+      const state = this.peerConnection.iceConnectionState;
+      if (state === 'connected' || state === 'completed') {
+        this.onIceConnected();
+      } else if (state === 'disconnected') {
+        clearTimeout(this.disconnectTimeout);
+        this.disconnectTimeout = setTimeout(() => {
+          this.restartIce(state);
+        }, DISCONNECT_GRACE);
+      } else if (state === 'failed') {
+        this.restartIce(state);
+      } else if (state === 'closed') {
+        this.fallBack(state);
+      }
+    };
+    this.connectTimeout = setTimeout(() => {
+      if (!this.connected) {
+        this.fallBack('timeout');
+      }
+    }, CONNECT_TIMEOUT);
+    return true;
+  }
+
+  onIceConnected() {
+    clearTimeout(this.disconnectTimeout);
+    clearTimeout(this.restartTimeout);
+    this.restarting = false;
+    this.updateConnected();
+  }
+
+  restartIce(reason) {
+    if (this.restarting || !this.peerConnection) {
+      return;
+    }
+    console.warn(`peer connection ${reason}, restarting it`);
+    this.restarting = true;
+    clearTimeout(this.disconnectTimeout);
+    // the data channels may still look open, but nothing gets through them
+    // until the ice is back
+    this.connected = false;
+    this.restartTimeout = setTimeout(() => {
+      this.fallBack(`${reason}, restart timed out`);
+    }, CONNECT_TIMEOUT);
+    // the host makes the new offer, the guest answers it, see onSignal
+    if (!this.isHost) {
+      return;
+    }
+    this.peerConnection.createOffer({iceRestart: true})
+      .then(offer => this.peerConnection.setLocalDescription(offer))
+      .then(() => this.sendDescription(true))
+      .catch(e => this.fallBack(e));
+  }
+
+  sendDescription(restart = false) {
+    // the candidates are sent as part of the description once they are all
+    // gathered, this way one record update is enough for each side
+    return new Promise(resolve => {
+      if (this.peerConnection.iceGatheringState === 'complete') {
+        resolve();
+        return;
+      }
+      this.peerConnection.onicecandidate = e => {
+        if (!e.candidate) {
+          resolve();
+        }
+      };
+    }).then(() => {
+      const description = this.peerConnection.localDescription;
+      this.signaling.send(ACTION.SIGNAL, {
+        description: {type: description.type, sdp: description.sdp},
+        restart,
+      });
+    });
+  }
+
+  addChannel(channel) {
+    this.channels[channel.label] = channel;
+    channel.onopen = () => {
+      this.updateConnected();
+    };
+    channel.onclose = () => {
+      this.fallBack('channel closed');
+    };
+    channel.onmessage = e => {
+      const message = JSON.parse(e.data);
+      // the peer is the only other player
+      this.receive(message.action, Object.assign({player: this.isHost ? 2 : 1}, message.data));
+    };
+  }
+
+  updateConnected() {
+    this.connected = !this.restarting
+      && Boolean(this.channels.moves) && this.channels.moves.readyState === 'open'
+      && Boolean(this.channels.game) && this.channels.game.readyState === 'open';
+    if (this.connected) {
+      clearTimeout(this.connectTimeout);
+    }
+  }
+
+  fallBack(reason) {
+    if (!this.peerConnection) {
+      return;
+    }
+    console.warn(`peer connection failed, falling back to the server: ${reason}`);
+    this.closePeerConnection();
+  }
+
+  closePeerConnection() {
+    clearTimeout(this.connectTimeout);
+    clearTimeout(this.disconnectTimeout);
+    clearTimeout(this.restartTimeout);
+    this.connected = false;
+    this.restarting = false;
+    Object.keys(this.channels).forEach(label => {
+      const channel = this.channels[label];
+      channel.onopen = null;
+      channel.onclose = null;
+      channel.onmessage = null;
+    });
+    this.channels = {};
+    if (!this.peerConnection) {
+      return;
+    }
+    // the handlers of the old connection must not touch the new one
+    const peerConnection = this.peerConnection;
+    this.peerConnection = null;
+    peerConnection.oniceconnectionstatechange = null;
+    peerConnection.ondatachannel = null;
+    peerConnection.close();
+  }
+
+  send(action, data = {}) {
+    if (!this.connected) {
+      this.signaling.send(action, data);
+      return;
+    }
+    const channel = action === ACTION.MOVE ? this.channels.moves : this.channels.game;
+    channel.send(JSON.stringify({action, data}));
+  }
+
+  leaveRoom() {
+    this.closePeerConnection();
+    this.signaling.leaveRoom();
+  }
+
+  close() {
+    this.closePeerConnection();
+    this.signaling.close();
+  }
+}
@@ -0,0 +1,65 @@
+/**
+ * Estimates the latency to another player and the offset between its clock
+ * and ours from pings, NTP style. A ping leaves at t0 on our clock, the other
+ * player answers right away with its time t1, we get the answer at t2. The
+ * round trip is t2 - t0 and the other clock is ahead of ours by
+ * t1 - (t0 + t2) / 2, which is exact if both ways take the same time. Only the
+ * last samples count so the estimate follows changes of the network.
+ */
+
+// number of samples to keep
+const WINDOW = 16;
+// ms of arrivals that count for the offset without pings
+const ARRIVAL_WINDOW = 5000;
+
+export default class Clock {
+  constructor() {
+    this.samples = [];
+    // one way latency and round trip jitter in ms, offset of the other clock
+    this.latency = 50;
+    this.jitter = 0;
+    this.offset = 0;
+    // without pings, e.g. for spectators, the message that arrived fastest
+    // lately tells the offset, minus the latency of that message
+    this.arrivals = [];
+    this.arrivalOffset = null;
+  }
+
+  addArrival(remote, received) {
+    // older arrivals are dropped, so the offset follows a clock that drifts
+    // or a network that got slower
+    this.arrivals.push({offset: remote - received, received});
+    while (received - this.arrivals[0].received > ARRIVAL_WINDOW) {
+      this.arrivals.shift();
+    }
+    this.arrivalOffset = Math.max(...this.arrivals.map(arrival => arrival.offset));
+  }
+
+  addSample(sent, remote, received) {
+    const roundTrip = received - sent;
+    if (this.samples.length) {
+      // smoothed difference between successive round trips, like rfc 3550
+      const difference = Math.abs(roundTrip - this.samples[this.samples.length - 1].roundTrip);
+      this.jitter += (difference - this.jitter) / 8;
+    }
+    this.samples.push({roundTrip, offset: remote - ((sent + received) / 2)});
+    if (this.samples.length > WINDOW) {
+      this.samples.shift();
+    }
+    // the median is robust against single slow pings
+    const roundTrips = this.samples.map(sample => sample.roundTrip).sort((a, b) => a - b);
+    this.latency = roundTrips[Math.floor(roundTrips.length / 2)] / 2;
+    // the offset is measured best by the fastest round trip, it had the
+    // least time to be asymmetric
+    this.offset = this.samples.reduce((best, sample) => (
+      sample.roundTrip < best.roundTrip ? sample : best
+    )).offset;
+  }
+
+  toLocalTime(remoteTime) {
+    if (this.samples.length === 0 && this.arrivalOffset !== null) {
+      return remoteTime - this.arrivalOffset;
+    }
+    return remoteTime - this.offset;
+  }
+}
@@ -0,0 +1,58 @@
+/**
+ * Snapshots of something another player moves, e.g. its paddle, by the time
+ * they were taken. They are shown a little in the past so there are two
+ * snapshots to interpolate between most of the time, late or lost ones don't
+ * make it jump. When the snapshots run out the motion is continued for a
+ * short time, after that it stops at the last snapshot.
+ */
+
+// snapshots older than this many ms are dropped
+const MAX_AGE = 1000;
+
+const lerp = (from, to, alpha) => from.map((value, i) => value + ((to[i] - value) * alpha));
+
+export default class Snapshots {
+  constructor(delay, maxExtrapolation) {
+    // ms in the past we show, and for how many ms we continue the motion
+    this.delay = delay;
+    this.maxExtrapolation = maxExtrapolation;
+    // {time, values} ordered by time, values is an array of numbers
+    this.snapshots = [];
+  }
+
+  add(time, values) {
+    // updates can come in out of order
+    let i = this.snapshots.length;
+    while (i > 0 && this.snapshots[i - 1].time > time) {
+      i -= 1;
+    }
+    this.snapshots.splice(i, 0, {time, values});
+    while (this.snapshots.length > 2 && this.snapshots[0].time < time - MAX_AGE) {
+      this.snapshots.shift();
+    }
+  }
+
+  sample(now) {
+    // the values at now minus the delay, null without any snapshots
+    const time = now - this.delay;
+    const snapshots = this.snapshots;
+    if (snapshots.length === 0) {
+      return null;
+    }
+    if (snapshots.length === 1 || time <= snapshots[0].time) {
+      return snapshots[0].values;
+    }
+    for (let i = 1; i < snapshots.length; i += 1) {
+      if (snapshots[i].time >= time) {
+        const from = snapshots[i - 1];
+        const to = snapshots[i];
+        return lerp(from.values, to.values, (time - from.time) / ((to.time - from.time) || 1));
+      }
+    }
+    // ahead of the last snapshot, go on in the direction of the last two
+    const from = snapshots[snapshots.length - 2];
+    const to = snapshots[snapshots.length - 1];
+    const ahead = Math.min(time - to.time, this.maxExtrapolation);
+    return lerp(from.values, to.values, 1 + (ahead / ((to.time - from.time) || 1)));
+  }
+}